@@ -0,0 +1,296 @@
+/**
+ * Optics Game - Experiments Module
+ *
+ * Parameter sweeps: step one quantity of the current arrangement across a range,
+ * count the visible images of each order at every step, and plot or export the results.
+ */
+
+// Sweep variables
+let sweepResults = null;     // { parameter, label, rows: [{ value, counts }] } from the last run
+
+const SWEEP_MAX_STEPS = 1000; // Guard against ranges with far too many steps
+
+// Run a sweep with the settings from the experiment panel and plot the results
+function runSweep() {
+  const settings = readSweepSettings();
+  if (!settings) return;
+
+  sweepResults = sweepParameter(settings);
+  drawSweepChart();
+  console.log(`Swept ${sweepResults.label} over ${sweepResults.rows.length} values`);
+}
+
+// Read the experiment panel's inputs; logs and returns null if they make no sense
+function readSweepSettings() {
+  const value = id => parseFloat(document.getElementById(id).value);
+  const settings = {
+    parameter: document.getElementById('sweepParameter').value,
+    mirrorIndex: value('sweepMirror') - 1,
+    secondMirrorIndex: value('sweepSecondMirror') - 1,
+    from: value('sweepFrom'),
+    to: value('sweepTo'),
+    step: Math.abs(value('sweepStep'))
+  };
+
+  if ([settings.from, settings.to, settings.step].some(isNaN) || settings.step === 0) {
+    console.error("Sweep needs numbers for From, To and a non-zero Step");
+    return null;
+  }
+  if (Math.abs(settings.to - settings.from) / settings.step > SWEEP_MAX_STEPS) {
+    console.error(`Sweep would take more than ${SWEEP_MAX_STEPS} steps`);
+    return null;
+  }
+
+  const needsMirrors = settings.parameter === 'mirrorPairAngle' ? 2 : settings.parameter === 'mirrorAngle' ? 1 : 0;
+  const mirrorIndices = [settings.mirrorIndex, settings.secondMirrorIndex].slice(0, needsMirrors);
+  if (mirrorIndices.some(index => !mirrors[index])) {
+    console.error("Sweep refers to a mirror that does not exist");
+    return null;
+  }
+  if (needsMirrors === 2 && settings.mirrorIndex === settings.secondMirrorIndex) {
+    console.error("Sweeping the angle between two mirrors needs two different mirrors");
+    return null;
+  }
+
+  // A sweep may only change what the puzzle lets the player move
+  const target = needsMirrors ? 'mirror' : 'eye';
+  if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable(target)) {
+    console.error(`This puzzle does not allow moving the ${target}, so it cannot be swept`);
+    return null;
+  }
+
+  return settings;
+}
+
+// Step one parameter across a range and count the visible images by order at each value.
+// The arrangement is put back exactly as it was afterwards.
+//   mirrorAngle     - a mirror's angle in degrees (clockwise from +x), turned about its midpoint
+//   mirrorPairAngle - the angle in degrees between two mirrors, turning the second about the
+//                     point where their lines meet (the hinge of a corner mirror)
+//   eyeX            - the eye's x-position
+function sweepParameter(settings) {
+  const { parameter, mirrorIndex, secondMirrorIndex, from, to, step } = settings;
+  const saved = {
+    eye: { x: eyePosition.x, y: eyePosition.y },
+    mirrors: mirrors.map(mirror => ({ ...mirror, normal: { ...mirror.normal } }))
+  };
+
+  const rows = [];
+  const direction = to >= from ? 1 : -1;
+  for (let value = from; direction * (to - value) >= -1e-9; value += direction * step) {
+    if (applySweepValue(parameter, value, mirrorIndex, secondMirrorIndex)) {
+      rows.push({ value, counts: countSweepImages(currentScene()) });
+    }
+  }
+
+  // Put everything back
+  eyePosition.x = saved.eye.x;
+  eyePosition.y = saved.eye.y;
+  saved.mirrors.forEach((mirror, i) => Object.assign(mirrors[i], mirror));
+  calculateReflections();
+
+  return { parameter, label: sweepLabel(settings), rows };
+}
+
+// Set the swept parameter to one value; returns false if it cannot be set (parallel mirrors)
+function applySweepValue(parameter, value, mirrorIndex, secondMirrorIndex) {
+  if (parameter === 'eyeX') {
+    eyePosition.x = value;
+    return true;
+  }
+
+  if (parameter === 'mirrorAngle') {
+    const mirror = mirrors[mirrorIndex];
+    const midpoint = { x: (mirror.x1 + mirror.x2) / 2, y: (mirror.y1 + mirror.y2) / 2 };
+    rotateMirror(mirror, midpoint, value - mirrorAngle(mirror));
+    return true;
+  }
+
+  // Angle between two mirrors: turn the second about the hinge where their lines meet
+  const fixed = mirrors[mirrorIndex];
+  const turned = mirrors[secondMirrorIndex];
+  const hinge = lineCrossing({ x: fixed.x1, y: fixed.y1 }, { x: fixed.x2, y: fixed.y2 },
+                             { x: turned.x1, y: turned.y1 }, { x: turned.x2, y: turned.y2 });
+  if (!hinge) return false;
+
+  // Open the corner on the side it already opens to
+  const currentAngle = angleAtHinge(fixed, turned, hinge);
+  rotateMirror(turned, hinge, Math.sign(currentAngle || 1) * value - currentAngle);
+  return true;
+}
+
+// Angle of a mirror's segment in degrees, clockwise on screen from +x
+function mirrorAngle(mirror) {
+  return degrees(Math.atan2(mirror.y2 - mirror.y1, mirror.x2 - mirror.x1));
+}
+
+// Signed angle in degrees from the first mirror to the second, seen from their hinge:
+// each mirror's direction is taken from the hinge out to its far end
+function angleAtHinge(fixed, turned, hinge) {
+  const outward = mirror => {
+    const far = dist(hinge.x, hinge.y, mirror.x1, mirror.y1) > dist(hinge.x, hinge.y, mirror.x2, mirror.y2)
+      ? { x: mirror.x1, y: mirror.y1 }
+      : { x: mirror.x2, y: mirror.y2 };
+    return Math.atan2(far.y - hinge.y, far.x - hinge.x);
+  };
+
+  const angle = degrees(outward(turned) - outward(fixed));
+  return ((angle % 360) + 540) % 360 - 180;
+}
+
+// Visible images of each order in a scene, counted the way countReflectionsByOrder counts
+// the live reflections; solving the scene directly skips the rays, eye view and panels
+// that calculateReflections rebuilds for the screen
+function countSweepImages(scene) {
+  const counts = {};
+  for (let i = 1; i <= MAX_REFLECTIONS; i++) counts[i] = 0;
+
+  const countTwins = currentPuzzle && currentPuzzle.deduplicateImages === false;
+  for (let image of computeScene(scene).images) {
+    if (!isImageVisible(image, scene)) continue;
+    for (let counted of countTwins ? [image, ...image.coincidentImages] : [image]) {
+      counts[counted.depth] = (counts[counted.depth] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// Axis label for a sweep
+function sweepLabel(settings) {
+  switch (settings.parameter) {
+    case 'mirrorAngle': return `Angle of mirror ${settings.mirrorIndex + 1} (degrees)`;
+    case 'mirrorPairAngle': return `Angle between mirrors ${settings.mirrorIndex + 1} and ${settings.secondMirrorIndex + 1} (degrees)`;
+    default: return "Eye x-position (px)";
+  }
+}
+
+// Highest reflection order seen anywhere in the sweep
+function sweepMaxOrder(rows) {
+  let maxOrder = 0;
+  for (let row of rows) {
+    for (let order in row.counts) {
+      if (row.counts[order] > 0) maxOrder = Math.max(maxOrder, parseInt(order));
+    }
+  }
+  return maxOrder;
+}
+
+// Total number of images in one row of a sweep
+function sweepTotal(row) {
+  return Object.values(row.counts).reduce((sum, count) => sum + count, 0);
+}
+
+// Plot image counts against the swept value: one line per order in its reflection
+// color, and the total in black
+function drawSweepChart() {
+  const chart = document.getElementById('sweepChart');
+  if (!chart || !sweepResults) return;
+
+  const ctx = chart.getContext('2d');
+  const { rows, label } = sweepResults;
+  const margin = { left: 40, right: 10, top: 10, bottom: 36 };
+  const plotWidth = chart.width - margin.left - margin.right;
+  const plotHeight = chart.height - margin.top - margin.bottom;
+
+  ctx.clearRect(0, 0, chart.width, chart.height);
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, chart.width, chart.height);
+  if (rows.length === 0) return;
+
+  const values = rows.map(row => row.value);
+  const minValue = Math.min(...values);
+  const valueRange = Math.max(...values) - minValue || 1;
+  const maxCount = Math.max(1, ...rows.map(sweepTotal));
+  const toX = value => margin.left + (value - minValue) / valueRange * plotWidth;
+  const toY = count => margin.top + plotHeight - count / maxCount * plotHeight;
+
+  // Axes, with the count scale on the left and the swept range underneath
+  ctx.strokeStyle = '#888';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top);
+  ctx.lineTo(margin.left, margin.top + plotHeight);
+  ctx.lineTo(margin.left + plotWidth, margin.top + plotHeight);
+  ctx.stroke();
+
+  ctx.fillStyle = '#333';
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let count = 0; count <= maxCount; count += Math.max(1, Math.ceil(maxCount / 5))) {
+    ctx.fillText(count, margin.left - 4, toY(count));
+  }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText(minValue, toX(minValue), margin.top + plotHeight + 3);
+  ctx.fillText(minValue + valueRange, toX(minValue + valueRange), margin.top + plotHeight + 3);
+  ctx.fillText(label, margin.left + plotWidth / 2, margin.top + plotHeight + 18);
+
+  const plotLine = (countOf, strokeStyle, lineWidth) => {
+    ctx.strokeStyle = strokeStyle;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    rows.forEach((row, i) => {
+      if (i === 0) ctx.moveTo(toX(row.value), toY(countOf(row)));
+      else ctx.lineTo(toX(row.value), toY(countOf(row)));
+    });
+    ctx.stroke();
+  };
+
+  for (let order = 1; order <= sweepMaxOrder(rows); order++) {
+    const orderColor = REFLECTION_COLORS[Math.min(order, REFLECTION_COLORS.length - 1)];
+    plotLine(row => row.counts[order] || 0, `rgb(${red(orderColor)}, ${green(orderColor)}, ${blue(orderColor)})`, 1.5);
+  }
+  plotLine(sweepTotal, 'black', 2);
+}
+
+// Download the last sweep as CSV: the swept value, the count for each order, and the total
+function exportSweepCSV() {
+  if (!sweepResults || sweepResults.rows.length === 0) {
+    console.error("Run a sweep before exporting it");
+    return;
+  }
+
+  const maxOrder = sweepMaxOrder(sweepResults.rows);
+  const orders = Array.from({ length: maxOrder }, (_, i) => i + 1);
+  const lines = [
+    [sweepResults.parameter, ...orders.map(order => `order${order}`), 'total'].join(','),
+    ...sweepResults.rows.map(row =>
+      [row.value, ...orders.map(order => row.counts[order] || 0), sweepTotal(row)].join(','))
+  ];
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `sweep-${sweepResults.parameter}-${timestamp}.csv`;
+  const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  // Create a temporary anchor element to trigger the download
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  console.log(`Exported sweep to ${filename}`);
+}
+
+// Wire up the experiment panel once the page has loaded
+window.addEventListener('load', function() {
+  const experimentBtn = document.getElementById('toggleExperiment');
+  if (experimentBtn) {
+    experimentBtn.onclick = function() {
+      const panel = document.getElementById('experimentPanel');
+      const showing = panel && panel.style.display !== 'none';
+      if (panel) panel.style.display = showing ? 'none' : 'block';
+      this.textContent = showing ? "Experiment" : "Hide Experiment";
+    };
+  }
+
+  const runBtn = document.getElementById('runSweep');
+  if (runBtn) runBtn.onclick = runSweep;
+
+  const exportBtn = document.getElementById('exportSweep');
+  if (exportBtn) exportBtn.onclick = exportSweepCSV;
+});
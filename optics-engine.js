@@ -0,0 +1,2520 @@
+/**
+ * Matt W's Optics Game - Optics Engine
+ *
+ * DOM-free physics for the optics game. Computes virtual images of the ball (and
+ * any other source objects) and the ray paths that carry them to the eye. Nothing in this file touches p5.js,
+ * the DOM or the game's globals: every function takes the scene it works on, so
+ * the same code runs in the browser and under Node.
+ *
+ * In the browser this file is loaded as a plain script before optics-game.js and
+ * its functions are globals. Under Node it is a CommonJS module:
+ *
+ *   const { computeScene, sceneFromArrangement } = require('./optics-engine.js');
+ *   const { images, rays } = computeScene(sceneFromArrangement(arrangementJson));
+ */
+
+const ENGINE_DEFAULTS = {
+  maxDepth: 10,         // Maximum reflection order to search (prevents infinite loops)
+  minIntensity: 0.05,   // Images left with less than this fraction of the ball's light are dropped
+  baseRadius: 25,       // Ball radius used when an arrangement does not give one
+  perspective: false,   // Scale images by how far they are from the eye (see perspectiveScale)
+  eyeRadius: 20,        // Forward-traced rays passing this close to the eye enter it
+  mergeDistance: 0.5,   // Images of one source closer together than this are merged (see mergeCoincidentImages)
+  bounds: { x: 0, y: 0, width: 1200, height: 800 }
+};
+
+// Share of baseRadius a higher-order image must keep inside the bounds, by order
+// (2nd, 3rd, 4th and beyond). Images used to be drawn this much smaller, and the
+// arrangements and puzzles were built around which images that kept on the canvas
+const EDGE_SIZE_FACTORS = [0.85, 0.7, 0.6];
+
+// How far past a real image to look for the mirror that formed it
+const SIGHT_LINE_REACH = 10000;
+
+// Which way an eye with a field of view looks unless it says otherwise: straight up the screen
+const DEFAULT_EYE_DIRECTION = 270;
+
+// Object distances closer than this to the focal length form no finite image
+const FOCAL_EPSILON = 0.5;
+
+// Id of the ball, for telling its images apart from those of other source objects
+const BALL_ID = 'ball';
+
+// Fraction of light a beamsplitter reflects unless the arrangement says otherwise
+const DEFAULT_BEAMSPLITTER_REFLECTIVITY = 0.5;
+
+// Forward-traced branches dimmer than this are dropped
+const MIN_RAY_INTENSITY = 0.01;
+
+// Refraction tracing: default index for glass, how many boundary crossings a
+// ray may make, how far a ray runs after its last crossing, how close a ray must
+// pass its target, and how a launch angle toward the target is solved for (the
+// first secant step and the number of steps, then the steps of the fallback
+// search around the full circle, which also cap each secant step)
+const DEFAULT_REFRACTIVE_INDEX = 1.5;
+const MAX_RAY_SEGMENTS = 32;
+const RAY_REACH = 10000;
+const PATH_TOLERANCE = 0.25;
+const PATH_SECANT_STEP = 0.001;
+const PATH_SECANT_ITERATIONS = 20;
+const PATH_SEARCH_SAMPLES = 360;
+
+// Largest difference, in degrees, between the angles of incidence and reflection
+// for a drawn ray path to count as keeping the law of reflection
+const REFLECTION_LAW_TOLERANCE = 0.5;
+
+// SCENE SETUP
+
+/**
+ * Build an engine scene from arrangement JSON (the format in arrangements/)
+ * Only the geometry the engine needs is kept; rendering data is left to the caller
+ *
+ * @param {Object} arrangement - Parsed arrangement JSON (ball, eye, mirrors)
+ * @param {Object} [defaults] - Overrides for ENGINE_DEFAULTS (e.g. baseRadius)
+ * @returns {Object} Scene with ball, eye and mirrors, ready for computeScene
+ */
+function sceneFromArrangement(arrangement, defaults) {
+  const settings = Object.assign({}, ENGINE_DEFAULTS, defaults);
+
+  return {
+    ball: {
+      id: BALL_ID,
+      x: arrangement.ball.x,
+      y: arrangement.ball.y,
+      radius: arrangement.ball.radius || settings.baseRadius
+    },
+    objects: (arrangement.objects || []).map((object, index) => parseSourceObject(object, index, settings)),
+    eye: parseEye(arrangement.eye, 0),
+    eyes: (arrangement.eyes || []).map((eye, index) => parseEye(eye, index + 1)),
+    mirrors: (arrangement.mirrors || []).map(parseMirror),
+    glass: (arrangement.glass || []).map(parseGlass),
+    walls: (arrangement.walls || []).map(parseWall),
+    obstacles: (arrangement.obstacles || []).map(parseObstacle)
+  };
+}
+
+/**
+ * Parse one extra source object from arrangement JSON
+ * { "id", "x", "y", "radius", "shape", "color", "letter", "rotation" } is an object
+ * that forms its own family of images, just like the ball. The shape is "ball" (the
+ * default), "square", "triangle", "arrow" or "letter"; rotation (degrees clockwise)
+ * turns the shape. Shape, color, letter and rotation only affect drawing, but the
+ * rotation is carried into every image's orientation.
+ *
+ * @param {Object} object - Object entry from the arrangement
+ * @param {number} index - Position in the objects array, used for the default id
+ * @param {Object} settings - Engine settings (baseRadius is the default radius)
+ * @returns {Object} Source object for the engine
+ */
+function parseSourceObject(object, index, settings) {
+  return {
+    id: object.id || `object${index + 1}`,
+    x: object.x,
+    y: object.y,
+    radius: object.radius || settings.baseRadius,
+    shape: object.shape || 'ball',
+    color: object.color,
+    letter: object.letter,
+    rotation: object.rotation || 0
+  };
+}
+
+/**
+ * Parse one observer from arrangement JSON
+ * The main "eye" is labelled A unless it says otherwise; extra "eyes" follow on
+ * as B, C and so on. The color is only used for drawing. An eye with a
+ * "fieldOfView" (degrees) only sees within that cone around its "direction"
+ * (degrees clockwise on screen from +x, straight up by default); without one
+ * it sees all the way round.
+ *
+ * @param {Object} eye - Eye entry from the arrangement ({ "x", "y", "label", "color",
+ *   "direction", "fieldOfView" })
+ * @param {number} index - 0 for the main eye, 1 and up for the extra ones
+ * @returns {Object} Observer for the engine
+ */
+function parseEye(eye, index) {
+  return {
+    x: eye.x,
+    y: eye.y,
+    label: eye.label || String.fromCharCode(65 + index),
+    ...(eye.color !== undefined && { color: eye.color }),
+    ...(eye.fieldOfView !== undefined && {
+      direction: eye.direction === undefined ? DEFAULT_EYE_DIRECTION : eye.direction,
+      fieldOfView: eye.fieldOfView
+    })
+  };
+}
+
+/**
+ * Parse one wall from arrangement JSON
+ * { "x1", "y1", "x2", "y2" } is an opaque, non-reflective segment
+ *
+ * @param {Object} wall - Wall entry from the arrangement
+ * @returns {Object} Wall geometry for the engine
+ */
+function parseWall(wall) {
+  return { x1: wall.x1, y1: wall.y1, x2: wall.x2, y2: wall.y2 };
+}
+
+/**
+ * Parse one obstacle from arrangement JSON
+ * { "points": [{ "x", "y" }, ...] } is an opaque, non-reflective polygon
+ *
+ * @param {Object} obstacle - Obstacle entry from the arrangement
+ * @returns {Object} Obstacle geometry for the engine
+ */
+function parseObstacle(obstacle) {
+  return { points: obstacle.points.map(point => ({ x: point.x, y: point.y })) };
+}
+
+/**
+ * Parse one glass block from arrangement JSON
+ * { "points": [{ "x", "y" }, ...], "refractiveIndex": n } describes a polygon of glass
+ *
+ * @param {Object} block - Glass entry from the arrangement
+ * @returns {Object} Glass geometry for the engine
+ */
+function parseGlass(block) {
+  return {
+    points: block.points.map(point => ({ x: point.x, y: point.y })),
+    refractiveIndex: block.refractiveIndex || DEFAULT_REFRACTIVE_INDEX
+  };
+}
+
+/**
+ * Parse one mirror from arrangement JSON
+ * Flat mirrors are the default; { "shape": "arc", "radius": R, "curvature": "concave" | "convex" }
+ * bends the segment x1,y1 -> x2,y2 into a circular arc with radius of curvature R.
+ * { "type": "lens", "focalLength": f } makes the segment a thin lens instead,
+ * converging for f > 0 and diverging for f < 0; its normal is optional.
+ * Mirrors are single-sided by default ("type": "single"); "double" reflects from
+ * both faces and "beamsplitter" reflects from both faces and lets through whatever
+ * it does not reflect. "reflectivity" is the fraction of light a mirror reflects:
+ * 1 if left out, or 0.5 for beamsplitters. "id" names the mirror in image IDs
+ * (see createImage); it defaults to M0, M1, ... by position in the arrangement.
+ *
+ * @param {Object} mirror - Mirror entry from the arrangement
+ * @param {number} index - Position of the mirror in the arrangement
+ * @returns {Object} Mirror geometry for the engine
+ */
+function parseMirror(mirror, index) {
+  const parsed = {
+    id: mirror.id || `M${index}`,
+    x1: mirror.x1,
+    y1: mirror.y1,
+    x2: mirror.x2,
+    y2: mirror.y2,
+    normal: mirror.normal,
+    width: mirror.width
+  };
+
+  if (mirror.type === 'lens') {
+    parsed.type = 'lens';
+    parsed.focalLength = mirror.focalLength;
+    parsed.normal = mirror.normal || segmentNormal(mirror);
+    return parsed;
+  }
+
+  if (mirror.shape === 'arc') {
+    parsed.shape = 'arc';
+    parsed.radius = mirror.radius;
+    parsed.curvature = mirror.curvature === 'convex' ? 'convex' : 'concave';
+  }
+
+  if (mirror.type === 'double') {
+    parsed.type = 'double';
+  } else if (mirror.type === 'beamsplitter') {
+    parsed.type = 'beamsplitter';
+    parsed.reflectivity = DEFAULT_BEAMSPLITTER_REFLECTIVITY;
+  }
+
+  if (mirror.reflectivity !== undefined) {
+    parsed.reflectivity = mirror.reflectivity;
+  }
+
+  return parsed;
+}
+
+/**
+ * Unit normal of the segment x1,y1 -> x2,y2 (rotated a quarter turn from its direction)
+ *
+ * @param {Object} segment - Object with x1, y1, x2, y2
+ * @returns {Object} Unit normal vector (x,y)
+ */
+function segmentNormal(segment) {
+  const direction = normalizeVector({ x: segment.x2 - segment.x1, y: segment.y2 - segment.y1 });
+  return { x: -direction.y, y: direction.x };
+}
+
+/**
+ * Fill in defaults for a scene passed to the engine
+ *
+ * @param {Object} scene - Scene with ball, eye, mirrors and optional bounds/options
+ * @returns {Object} Scene with bounds and options resolved
+ */
+function resolveScene(scene) {
+  const options = Object.assign({}, ENGINE_DEFAULTS, scene.options);
+  const bounds = Object.assign({ x: 0, y: 0 }, scene.bounds || options.bounds);
+
+  return {
+    ball: scene.ball,
+    objects: scene.objects || [],
+    eye: scene.eye,
+    eyes: scene.eyes || [],
+    mirrors: scene.mirrors || [],
+    glass: scene.glass || [],
+    walls: scene.walls || [],
+    obstacles: scene.obstacles || [],
+    bounds,
+    options
+  };
+}
+
+// SOLVER
+
+/**
+ * Compute every visible virtual image in a scene and the ray path behind each one
+ * This is the main entry point of the engine
+ *
+ * Images are returned in traversal order, one source object at a time starting with
+ * the ball: all of its first-order images first (in mirror order), then each
+ * first-order image's descendants depth-first.
+ *
+ * @param {Object} scene - The scene to solve
+ * @param {Object} scene.ball - Source object (x, y, radius)
+ * @param {Array} [scene.objects] - Further source objects (id, x, y, radius), each imaged like the ball
+ * @param {Object} scene.eye - Observer position (x, y); extra scene.eyes are ignored here
+ *   (see computeObserverViews)
+ * @param {Array} scene.mirrors - Mirrors (x1, y1, x2, y2, unit normal pointing out of the reflective side)
+ * @param {Array} [scene.glass] - Glass blocks (polygon points, refractiveIndex)
+ * @param {Array} [scene.walls] - Opaque wall segments (x1, y1, x2, y2)
+ * @param {Array} [scene.obstacles] - Opaque polygons (points)
+ * @param {Object} [scene.bounds] - Region images must lie inside (x, y, width, height)
+ * @param {Object} [scene.options] - Overrides for ENGINE_DEFAULTS
+ * @returns {Object} { images, rays, refractedImages, rejectedImages } - images carry id
+ *   (e.g. "ball>M1>M0": the source, then the mirrors from the source to the eye), x, y,
+ *   radius (true size), drawRadius (the size to draw, see the perspective option),
+ *   depth, angularSize, orientation, object (the source it is an image of),
+ *   sourceMirror, parentReflection, hitPoints and coincidentImages (the other chains that
+ *   form the same image, see mergeCoincidentImages); rays hold the source-to-eye polyline
+ *   for each image, bent wherever it crosses glass; refractedImages are the displaced
+ *   positions at which the eye sees a source straight through glass; rejectedImages
+ *   are the candidate images that were formed but not seen, each with a rejection
+ *   ({ reason, mirror, blocker }, see unreachableReason)
+ */
+function computeScene(scene) {
+  const resolved = resolveScene(scene);
+  const sources = [resolved.ball, ...resolved.objects];
+  const rejectedImages = [];
+  const images = collectSceneImages(resolved, rejectedImages);
+
+  const rays = images.map(image => {
+    const points = bendThroughGlass([
+      { x: image.object.x, y: image.object.y },
+      ...image.hitPoints.map(hitPoint => ({ x: hitPoint.x, y: hitPoint.y })),
+      { x: resolved.eye.x, y: resolved.eye.y }
+    ], resolved);
+    return { image, points, lawful: keepsReflectionLaw(points, image.hitPoints) };
+  });
+
+  const refractedImages = [];
+  for (let source of sources) {
+    const apparent = findApparentPosition(source, resolved.eye, resolved);
+    if (apparent && isWithinBounds(apparent, resolved.bounds) && isInFieldOfView(resolved.eye, apparent)) {
+      refractedImages.push(apparent);
+    }
+  }
+
+  return { images, rays, refractedImages, rejectedImages };
+}
+
+/**
+ * Solve the scene once for every observer
+ * computeScene only looks through scene.eye; this repeats it for each of the
+ * extra eyes, so every observer gets its own set of visible images.
+ *
+ * @param {Object} scene - The scene to solve, with the main eye and optional extra eyes
+ * @returns {Array} { eye, images, rays, refractedImages } for the main eye, then each extra eye
+ */
+function computeObserverViews(scene) {
+  const resolved = resolveScene(scene);
+  return [resolved.eye, ...resolved.eyes].map(eye => ({
+    eye,
+    ...computeScene({ ...resolved, eye })
+  }));
+}
+
+/**
+ * Find every visible image of every source object in a scene
+ *
+ * @param {Object} scene - Resolved scene
+ * @param {Array} [rejected] - Output list for candidate images that are not seen, less
+ *   those that coincide with a visible image
+ * @returns {Array} The images, with coincident ones merged (see mergeCoincidentImages)
+ */
+function collectSceneImages(scene, rejected) {
+  const images = [];
+  for (let source of [scene.ball, ...scene.objects]) {
+    collectImagesOf(source, scene, images, rejected);
+  }
+  mergeCoincidentImages(images, scene.options.mergeDistance, rejected);
+  return images;
+}
+
+/**
+ * Find every visible image of one source object and append them to images
+ *
+ * @param {Object} source - The ball or another source object
+ * @param {Object} scene - Resolved scene
+ * @param {Array} images - Output list
+ * @param {Array} [rejected] - Output list for candidate images that are not seen
+ */
+function collectImagesOf(source, scene, images, rejected) {
+  const firstOrderImages = [];
+
+  // First-order images: the source reflected in each mirror
+  for (let mirror of scene.mirrors) {
+    const image = createImage(mirror, source, 1, scene, rejected);
+    if (image) firstOrderImages.push(image);
+  }
+  for (let image of firstOrderImages) {
+    if (isInView(image, scene)) images.push(image);
+    else rejectImage(image, rejection('out-of-view', image), rejected);
+  }
+
+  // Higher-order images: reflections of reflections
+  for (let image of firstOrderImages) {
+    for (let otherMirror of scene.mirrors) {
+      // Skip the mirror that created this image
+      if (otherMirror === image.sourceMirror) continue;
+
+      collectHigherOrderImages(otherMirror, image, 2, scene, images, rejected);
+    }
+  }
+}
+
+/**
+ * The source object an image was formed from
+ * Images from computeScene record it; images made any other way belong to the ball
+ *
+ * @param {Object} image - Image from computeScene
+ * @param {Object} scene - Scene with ball
+ * @returns {Object} The ball or another source object
+ */
+function imageSource(image, scene) {
+  return image.object || scene.ball;
+}
+
+/**
+ * Reflect an object in a mirror and keep the image if its light reaches the eye
+ * Whether the eye is looking its way is left to the caller (see isInView): an
+ * image behind the eye can still be reflected into view by later mirrors.
+ *
+ * An image is its source's true size times the magnification accumulated along its
+ * chain, so plane mirrors give life-size images at every order. With the
+ * perspective option drawRadius is rescaled by distance from the eye; that only
+ * changes how the image is drawn, never which images are kept.
+ *
+ * @param {Object} mirror - The mirror creating this image
+ * @param {Object} object - The object being reflected (a source object or another image)
+ * @param {number} depth - Reflection order of the new image
+ * @param {Object} scene - Resolved scene
+ * @param {Array} [rejected] - Output list for the image, with its rejection, if it is not kept
+ * @returns {Object|null} The image, or null if it is not visible
+ */
+function createImage(mirror, object, depth, scene, rejected) {
+  // Only create images if the object is on the reflective side of the mirror
+  const formed = imageInMirror(object, mirror);
+  if (!formed) return null;
+
+  // Magnification accumulates along the chain; plane mirrors contribute 1
+  const magnification = (object.magnification || 1) * formed.magnification;
+
+  // Every image in a chain belongs to the source object at its root
+  const source = depth > 1 ? object.object : object;
+  const radius = source.radius * Math.abs(magnification);
+
+  const image = {
+    // Stable name: the source, then each mirror the light meets on its way to the eye
+    id: `${object.id}>${mirrorId(mirror, scene)}`,
+    x: formed.x,
+    y: formed.y,
+    // True size, used for every check
+    radius: radius,
+    // Size to draw at: the true size, or with the perspective option the size it looks from the eye
+    drawRadius: scene.options.perspective ? radius * perspectiveScale(formed, source, scene) : radius,
+    // Size the image must keep inside the bounds (see edgeRadius)
+    edgeRadius: edgeRadius(source, depth, magnification, scene),
+    depth: depth,
+    magnification: magnification,
+    // How the source's outline is turned and flipped in this image
+    orientation: imageOrientation(depth > 1 ? object.orientation : objectOrientation(object), mirror, formed.magnification),
+    object: source,
+    // Angle the image subtends at the eye, in radians
+    angularSize: angularSize(radius, formed, scene.eye),
+    // Real images form in front of a curved mirror or beyond a lens; virtual ones behind the mirror
+    real: formed.real,
+    sourceMirror: mirror,
+    // First-order images have no parent; higher orders point at the image they reflect
+    parentReflection: depth > 1 ? object : null,
+    // Will hold the hit points for ray path drawing
+    hitPoints: [],
+    // Other chains that form this same image, seen or not, if it is kept (see mergeCoincidentImages)
+    coincidentImages: []
+  };
+
+  // Don't show reflections that have lost too much light to the mirrors
+  const reflectionChain = buildReflectionChain(image);
+  if (chainReflectivity(reflectionChain) < scene.options.minIntensity) {
+    return rejectImage(image, rejection('too-dim', image), rejected);
+  }
+
+  if (!isWithinBounds(image, scene.bounds)) return rejectImage(image, rejection('off-canvas', image), rejected);
+
+  const unreachable = unreachableReason(image, scene);
+  if (unreachable) return rejectImage(image, unreachable, rejected);
+
+  const hitPoints = computeHitPoints(reflectionChain, scene);
+  if (!hitPoints || hitPoints.length !== depth) return rejectImage(image, rejection('no-path', image), rejected);
+
+  // Light passing through beamsplitters on the way can dim it further
+  const intensity = pathIntensity(reflectionChain, hitPoints, scene);
+  if (intensity < scene.options.minIntensity) return rejectImage(image, rejection('too-dim', image), rejected);
+
+  image.hitPoints = hitPoints;
+  image.intensity = intensity;
+  return image;
+}
+
+/**
+ * Radius an image must keep inside the scene bounds to be kept
+ * First-order images count at their true size; higher orders at the share of
+ * baseRadius they were drawn at before images kept their true size, so the
+ * perspective option and an arrangement's ball radius don't change which images exist
+ *
+ * @param {Object} source - The source object the image is of
+ * @param {number} depth - Reflection order of the image
+ * @param {number} magnification - Magnification accumulated along the image's chain
+ * @param {Object} scene - Resolved scene
+ * @returns {number} The radius to check against the bounds
+ */
+function edgeRadius(source, depth, magnification, scene) {
+  if (depth === 1) return source.radius * Math.abs(magnification);
+  const factor = EDGE_SIZE_FACTORS[Math.min(depth - 2, EDGE_SIZE_FACTORS.length - 1)];
+  return scene.options.baseRadius * factor * Math.abs(magnification);
+}
+
+/**
+ * A mirror's ID: its own, or M and its position in the scene for mirrors built without one
+ *
+ * @param {Object} mirror - The mirror
+ * @param {Object} scene - Scene the mirror belongs to
+ * @returns {string} The ID
+ */
+function mirrorId(mirror, scene) {
+  return mirror.id || `M${scene.mirrors.indexOf(mirror)}`;
+}
+
+/**
+ * Record an image that was formed but will not be seen
+ *
+ * @param {Object} image - The image
+ * @param {Object} why - Its rejection (see rejection)
+ * @param {Array} [rejected] - Output list; nothing is recorded without one
+ * @returns {null} Always null, for createImage to return
+ */
+function rejectImage(image, why, rejected) {
+  if (rejected) {
+    image.rejection = why;
+    rejected.push(image);
+  }
+  return null;
+}
+
+/**
+ * Fraction of light a mirror reflects (lenses pass all of it on)
+ *
+ * @param {Object} mirror - The mirror or lens
+ * @returns {number} Reflectivity between 0 and 1
+ */
+function reflectivityOf(mirror) {
+  return mirror.reflectivity === undefined ? 1 : mirror.reflectivity;
+}
+
+/**
+ * Product of the reflectivities of every mirror in a reflection chain
+ * Beamsplitters crossed along the way can only lower this, so it is an upper
+ * bound on the image's intensity and on that of every image formed from it.
+ *
+ * @param {Array} reflectionChain - Images from first order up to the one being lit
+ * @returns {number} Fraction of the ball's light left after the reflections
+ */
+function chainReflectivity(reflectionChain) {
+  return reflectionChain.reduce((product, image) => product * reflectivityOf(image.sourceMirror), 1);
+}
+
+/**
+ * Fraction of the ball's light that reaches the eye along an image's ray path
+ * Every mirror in the chain keeps only the light it reflects, and every
+ * beamsplitter the path passes straight through keeps only the light it transmits.
+ *
+ * @param {Array} reflectionChain - Images from first order up to the one being lit
+ * @param {Array} hitPoints - Hit points from ball to eye
+ * @param {Object} scene - Scene with ball, eye and mirrors
+ * @returns {number} Intensity between 0 and 1
+ */
+function pathIntensity(reflectionChain, hitPoints, scene) {
+  let intensity = chainReflectivity(reflectionChain);
+
+  const path = [imageSource(reflectionChain[0], scene), ...hitPoints, scene.eye];
+  const splitters = scene.mirrors.filter(isBeamsplitter);
+  for (let i = 0; i < path.length - 1; i++) {
+    for (let splitter of splitters) {
+      // The legs start and end on mirrors, so ignore crossings at their ends
+      const crossing = intersectMirror(path[i].x, path[i].y, path[i + 1].x, path[i + 1].y, splitter);
+      if (!crossing) continue;
+
+      const legLength = distance(path[i].x, path[i].y, path[i + 1].x, path[i + 1].y);
+      const along = distance(path[i].x, path[i].y, crossing.x, crossing.y);
+      if (along > legLength * 0.01 && along < legLength * 0.99) {
+        intensity *= 1 - splitter.reflectivity;
+      }
+    }
+  }
+
+  return intensity;
+}
+
+/**
+ * Calculate higher-order images (2nd order and above) and append them to images
+ *
+ * @param {Object} mirror - The mirror creating this image
+ * @param {Object} object - The image being reflected
+ * @param {number} depth - Reflection order (depth in the reflection tree)
+ * @param {Object} scene - Resolved scene
+ * @param {Array} images - Output list
+ * @param {Array} [rejected] - Output list for candidate images that are not seen
+ */
+function collectHigherOrderImages(mirror, object, depth, scene, images, rejected) {
+  const { maxDepth, minIntensity } = scene.options;
+
+  // Don't go beyond max reflection depth
+  if (depth > maxDepth) return;
+
+  // Don't calculate reflections of images that are already too dim
+  if (chainReflectivity(buildReflectionChain(object)) * reflectivityOf(mirror) < minIntensity) return;
+
+  const image = createImage(mirror, object, depth, scene, rejected);
+  if (!image) return;
+
+  if (isInView(image, scene)) images.push(image);
+  else rejectImage(image, rejection('out-of-view', image), rejected);
+
+  // Recursively calculate next level reflections
+  for (let otherMirror of scene.mirrors) {
+    // Skip the mirror that created this image
+    if (otherMirror === mirror) continue;
+
+    collectHigherOrderImages(otherMirror, image, depth + 1, scene, images, rejected);
+  }
+}
+
+/**
+ * Merge images of the same source that form at the same spot
+ * Mirrors meeting at an angle that divides 180° form some images by more than one
+ * chain: at 90°, via mirror A then B and via B then A. Usually only one of those
+ * chains has a path that reaches the eye, so the candidates the solver rejected are
+ * merged too. Only the first visible image found stays in the list, and every other
+ * chain that forms it, seen or not, moves into its coincidentImages (rejected ones
+ * keep their rejection), so each image is drawn and counted once while every chain
+ * that forms it is kept.
+ *
+ * @param {Array} images - Visible images, merged in place
+ * @param {number} [tolerance] - Distance within which two images count as one
+ *   (ENGINE_DEFAULTS.mergeDistance if left out)
+ * @param {Array} [rejected] - Rejected candidates; those that coincide with a visible
+ *   image are moved out of it, in place
+ */
+function mergeCoincidentImages(images, tolerance = ENGINE_DEFAULTS.mergeDistance, rejected) {
+  // Bucket the kept images by position rounded to the tolerance, so each image is
+  // only compared with those in its own and the neighbouring cells
+  const cellSize = tolerance > 0 ? tolerance : 1;
+  const cells = new Map();
+  const cellKey = (column, row) => `${column},${row}`;
+  const cellOf = image => [Math.round(image.x / cellSize), Math.round(image.y / cellSize)];
+
+  // The earliest kept image within reach, so the first chain found keeps its place
+  const findTwin = image => {
+    const [column, row] = cellOf(image);
+    let twin = null;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let entry of cells.get(cellKey(column + dx, row + dy)) || []) {
+          const other = entry.image;
+          if (other.object !== image.object || distance(other.x, other.y, image.x, image.y) > tolerance) continue;
+          if (!twin || entry.index < twin.index) twin = entry;
+        }
+      }
+    }
+    return twin && twin.image;
+  };
+
+  const mergeInto = (twin, image) => {
+    twin.coincidentImages.push(image, ...image.coincidentImages);
+    image.coincidentImages = [];
+  };
+
+  const kept = [];
+  for (let image of images) {
+    const twin = findTwin(image);
+    if (twin) {
+      mergeInto(twin, image);
+      continue;
+    }
+
+    const key = cellKey(...cellOf(image));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ image, index: kept.length });
+    kept.push(image);
+  }
+  images.splice(0, images.length, ...kept);
+
+  if (!rejected) return;
+  const unmatched = [];
+  for (let candidate of rejected) {
+    const twin = findTwin(candidate);
+    if (twin) mergeInto(twin, candidate);
+    else unmatched.push(candidate);
+  }
+  rejected.splice(0, rejected.length, ...unmatched);
+}
+
+/**
+ * Angle subtended at the eye by a disc of the given radius
+ *
+ * @param {number} radius - True radius of the disc
+ * @param {Object} center - Center of the disc (x, y)
+ * @param {Object} eye - Observer position (x, y)
+ * @returns {number} Full angular size in radians (PI when the eye is inside the disc)
+ */
+function angularSize(radius, center, eye) {
+  const eyeDistance = distance(eye.x, eye.y, center.x, center.y);
+  if (eyeDistance <= radius) return Math.PI;
+  return 2 * Math.asin(radius / eyeDistance);
+}
+
+/**
+ * Perspective factor for drawing an image at a given position
+ * Objects look smaller the further they are from the eye. Taking the source's own
+ * distance as the reference keeps the source's scale as it is and draws each image
+ * the size it looks compared with the source. Distances shorter than the eye's
+ * radius are clamped so images right at the eye don't blow up.
+ *
+ * @param {Object} position - Where the image forms (x, y)
+ * @param {Object} source - The source object the image is of
+ * @param {Object} scene - Resolved scene
+ * @returns {number} Factor to multiply the image's true radius by
+ */
+function perspectiveScale(position, source, scene) {
+  const { eye } = scene;
+  const minDistance = scene.options.eyeRadius;
+  const sourceDistance = Math.max(distance(eye.x, eye.y, source.x, source.y), minDistance);
+  const imageDistance = Math.max(distance(eye.x, eye.y, position.x, position.y), minDistance);
+  return sourceDistance / imageDistance;
+}
+
+/**
+ * Orientation of a source object, a plain rotation by its rotation in degrees
+ * The ball has no rotation, so its outline is drawn as is.
+ *
+ * @param {Object} object - Source object
+ * @returns {Object} { a, b, c, d } orientation matrix (see imageOrientation)
+ */
+function objectOrientation(object) {
+  const radians = (object.rotation || 0) * Math.PI / 180;
+  return { a: Math.cos(radians), b: Math.sin(radians), c: -Math.sin(radians), d: Math.cos(radians) };
+}
+
+/**
+ * Whether an orientation mirror-reverses the source's outline
+ * Every mirror reflection flips handedness and lenses never do, so this is true
+ * for images formed by an odd number of mirrors.
+ *
+ * @param {Object} orientation - { a, b, c, d } orientation matrix
+ * @returns {boolean} True if the outline is drawn the wrong way round
+ */
+function isMirrorReversed(orientation) {
+  return orientation.a * orientation.d - orientation.b * orientation.c < 0;
+}
+
+/**
+ * Orientation of an image formed from an object with the given orientation
+ * Orientations are 2x2 matrices { a, b, c, d } mapping the source's outline onto
+ * the image (x' = a*x + c*y, y' = b*x + d*y, the order p5's applyMatrix takes).
+ * Along the optical axis a mirror reverses depth and a lens keeps it; across the
+ * axis the image is flipped when the magnification is negative. A plane mirror
+ * therefore mirror-reverses its image, which is why odd orders read backwards.
+ *
+ * @param {Object} orientation - Orientation of the object being imaged
+ * @param {Object} mirror - The mirror or lens forming the image
+ * @param {number} magnification - Magnification of this one step
+ * @returns {Object} Orientation of the new image
+ */
+function imageOrientation(orientation, mirror, magnification) {
+  const across = magnification < 0 ? -1 : 1;
+  const along = isLens(mirror) ? 1 : -1;
+  const n = mirror.normal;
+
+  // across * I + (along - across) * n n^T, applied after the object's own orientation
+  const step = {
+    a: across + (along - across) * n.x * n.x,
+    b: (along - across) * n.x * n.y,
+    c: (along - across) * n.x * n.y,
+    d: across + (along - across) * n.y * n.y
+  };
+
+  return {
+    a: step.a * orientation.a + step.c * orientation.b,
+    b: step.b * orientation.a + step.d * orientation.b,
+    c: step.a * orientation.c + step.c * orientation.d,
+    d: step.b * orientation.c + step.d * orientation.d
+  };
+}
+
+/**
+ * Check whether the eye is looking toward the last mirror on an image's ray path
+ *
+ * @param {Object} image - Image from createImage, with hit points
+ * @param {Object} scene - Scene with eye
+ * @returns {boolean} True if the image falls inside the eye's field of view
+ */
+function isInView(image, scene) {
+  return isInFieldOfView(scene.eye, image.hitPoints[image.hitPoints.length - 1]);
+}
+
+/**
+ * Check whether the eye is looking toward a point
+ * Eyes without a field of view (or with one of 360 degrees or more) see all the way round.
+ *
+ * @param {Object} eye - Observer (x, y, optional direction and fieldOfView in degrees)
+ * @param {Object} point - Point the eye looks at (x, y)
+ * @returns {boolean} True if the point is within half the field of view of the direction
+ */
+function isInFieldOfView(eye, point) {
+  if (eye.fieldOfView === undefined || eye.fieldOfView >= 360) return true;
+
+  const lookAngle = Math.atan2(point.y - eye.y, point.x - eye.x);
+  const facingAngle = (eye.direction === undefined ? DEFAULT_EYE_DIRECTION : eye.direction) * Math.PI / 180;
+
+  // Smallest angle between the two directions, in [0, PI]
+  let offset = Math.abs(lookAngle - facingAngle) % (2 * Math.PI);
+  if (offset > Math.PI) offset = 2 * Math.PI - offset;
+
+  return offset <= eye.fieldOfView * Math.PI / 360;
+}
+
+/**
+ * Check whether an image lies entirely inside the scene bounds
+ *
+ * @param {Object} image - Image with x, y and radius (edgeRadius is used instead if it has one)
+ * @param {Object} bounds - Region (x, y, width, height)
+ * @returns {boolean} True if the whole image is inside
+ */
+function isWithinBounds(image, bounds) {
+  const radius = image.edgeRadius === undefined ? image.radius : image.edgeRadius;
+  return image.x - radius >= bounds.x &&
+         image.x + radius <= bounds.x + bounds.width &&
+         image.y - radius >= bounds.y &&
+         image.y + radius <= bounds.y + bounds.height;
+}
+
+/**
+ * Check if an image is visible from the eye
+ * The image's light has to reach the eye (see isImageReachable) and the eye has
+ * to be looking toward the mirror it is seen in.
+ *
+ * @param {Object} image - The image to check
+ * @param {Object} scene - Scene with ball, eye, mirrors and bounds
+ * @returns {boolean} True if the image is visible
+ */
+function isImageVisible(image, scene) {
+  return !invisibleReason(image, scene);
+}
+
+/**
+ * Explain why an image is not visible from the eye
+ *
+ * @param {Object} image - The image to check
+ * @param {Object} scene - Scene with ball, eye, mirrors and bounds
+ * @returns {Object|null} Rejection (see unreachableReason), or null if the image is visible
+ */
+function invisibleReason(image, scene) {
+  const unreachable = unreachableReason(image, scene);
+  if (unreachable) return unreachable;
+
+  const sightPoint = intersectSightLine(scene.eye, image, image.sourceMirror);
+  return isInFieldOfView(scene.eye, sightPoint) ? null : rejection('out-of-view', image);
+}
+
+/**
+ * Check if an image's light can reach the eye, whichever way the eye is looking
+ *
+ * @param {Object} image - The image to check
+ * @param {Object} scene - Scene with ball, eye, mirrors and bounds
+ * @returns {boolean} True if light from the image can reach the eye
+ */
+function isImageReachable(image, scene) {
+  return !unreachableReason(image, scene);
+}
+
+/**
+ * Explain why an image's light cannot reach the eye, whichever way the eye is looking
+ * Implements ray tracing to determine if an image can be seen
+ * Accounts for mirror orientation, obstacles, and physical laws
+ *
+ * @param {Object} image - The image to check
+ * @param {Object} scene - Scene with ball, eye, mirrors and bounds
+ * @returns {Object|null} { reason, mirror, blocker } or null if the light gets through.
+ *   The reason is one of 'off-canvas', 'misses-mirror' (the sight line passes the
+ *   mirror by), 'wrong-side' (the eye sees the mirror's back, or is on the object's
+ *   side of a lens), 'in-front-of-mirror', 'sight-blocked' (something stands between
+ *   the eye and the mirror) or 'source-blocked' (something stands between the mirror
+ *   and the object it reflects). Mirror is the image's source mirror; blocker is the
+ *   mirror or opaque segment in the way, for the two blocked reasons
+ */
+function unreachableReason(image, scene) {
+  const { eye, mirrors } = scene;
+  const ball = imageSource(image, scene);
+  const bounds = scene.bounds || ENGINE_DEFAULTS.bounds;
+
+  // First check if the image is within the scene bounds
+  if (!isWithinBounds(image, Object.assign({ x: 0, y: 0 }, bounds))) return rejection('off-canvas', image);
+
+  // Get the source mirror that created this image
+  const mirror = image.sourceMirror;
+  const mirrorNormal = mirror.normal;
+
+  // PART 1: Check if the eye can see the image through the mirror
+
+  // Find where the eye's sight line toward the image meets the mirror
+  const eyeToMirrorIntersection = intersectSightLine(eye, image, mirror);
+
+  // If no intersection, the image is not visible
+  if (!eyeToMirrorIntersection) return rejection('misses-mirror', image);
+
+  // Check if the intersection point is within the mirror segment
+  if (!isCurvedMirror(mirror)) {
+    const mirrorLength = distance(mirror.x1, mirror.y1, mirror.x2, mirror.y2);
+    const dist1 = distance(eyeToMirrorIntersection.x, eyeToMirrorIntersection.y, mirror.x1, mirror.y1);
+    const dist2 = distance(eyeToMirrorIntersection.x, eyeToMirrorIntersection.y, mirror.x2, mirror.y2);
+
+    // Allow for a small margin of error due to floating point
+    const epsilon = 0.001;
+    if (dist1 + dist2 > mirrorLength * (1 + epsilon)) return rejection('misses-mirror', image);
+  }
+
+  const eyeToIntersection = {
+    x: eyeToMirrorIntersection.x - eye.x,
+    y: eyeToMirrorIntersection.y - eye.y
+  };
+
+  const parentReflection = image.parentReflection;
+  const source = image.depth > 1 ? parentReflection : ball;
+
+  const facing = surfaceNormalAt(mirror, eyeToMirrorIntersection);
+
+  if (isLens(mirror)) {
+    // Light passes through a lens, so the eye must be on the far side from the source
+    if (sideOfLens(eye, mirror) === sideOfLens(source, mirror)) return rejection('wrong-side', image);
+  }
+  else if (isTwoSided(mirror)) {
+    // Either face reflects, as long as the eye and the source are in front of the same one
+    const sourceToIntersection = {
+      x: eyeToMirrorIntersection.x - source.x,
+      y: eyeToMirrorIntersection.y - source.y
+    };
+    if (dotProduct(facing, eyeToIntersection) * dotProduct(facing, sourceToIntersection) <= 0) {
+      return rejection('wrong-side', image);
+    }
+  }
+  // When dot product of normal and eyeToIntersection is negative,
+  // the eye is looking at the blue side of the mirror first
+  else if (dotProduct(facing, eyeToIntersection) >= 0) return rejection('wrong-side', image);
+
+  // The ray should hit the mirror first, then a virtual image behind it
+  // (intersectSightLine only looks past real images, so they are in front by construction)
+  const distToIntersection = distance(eye.x, eye.y, eyeToMirrorIntersection.x, eyeToMirrorIntersection.y);
+  const distToImage = distance(eye.x, eye.y, image.x, image.y);
+  if (!image.real && distToIntersection >= distToImage) return rejection('in-front-of-mirror', image);
+
+  // Check if there are any obstructions between eye and mirror intersection
+  const others = mirrors.filter(otherMirror => otherMirror !== mirror);
+  const opaque = opaqueSegments(scene);
+  const sightBlocker = segmentBlocker(eye, eyeToMirrorIntersection, [...others, ...opaque]);
+  if (sightBlocker) return rejection('sight-blocked', image, sightBlocker);
+
+  // PART 2: Check if the mirror can see the source object (ball or parent image)
+  const sourceBlockers = others.filter(otherMirror =>
+    !(image.depth > 1 && parentReflection && otherMirror === parentReflection.sourceMirror));
+
+  // Walls only block real light, so they matter here when the source is the ball itself;
+  // the legs between mirrors are checked against them in computeHitPoints
+  if (image.depth === 1) sourceBlockers.push(...opaque);
+
+  const sourceBlocker = segmentBlocker(source, eyeToMirrorIntersection, sourceBlockers);
+  if (sourceBlocker) return rejection('source-blocked', image, sourceBlocker);
+
+  // For an image to be visible, all checks must pass
+  return null;
+}
+
+/**
+ * Check whether an image would be visible with the eye moved to another point
+ * The image stays where it is, but its sight line and every leg of its ray path
+ * are found afresh from the new point. Which way the eye faces is not considered.
+ *
+ * @param {Object} image - Image from computeScene
+ * @param {Object} point - Where the eye would stand (x,y)
+ * @param {Object} scene - The scene the image belongs to
+ * @returns {boolean} True if light from the image would reach an eye at the point
+ */
+function isVisibleFrom(image, point, scene) {
+  const resolved = resolveScene(scene);
+  const moved = { ...resolved, eye: { x: point.x, y: point.y } };
+  if (resolved.obstacles.some(obstacle => isPointInPolygon(point, obstacle.points))) return false;
+  if (unreachableReason(image, moved)) return false;
+
+  const reflectionChain = buildReflectionChain(image);
+  const hitPoints = computeHitPoints(reflectionChain, moved);
+  if (!hitPoints || hitPoints.length !== image.depth) return false;
+
+  return pathIntensity(reflectionChain, hitPoints, moved) >= resolved.options.minIntensity;
+}
+
+/**
+ * Sample the region where the eye could stand and still see an image
+ * For a plane mirror this is the cone from the image through the mirror's
+ * reflective segment, cut back wherever mirrors, walls or obstacles get in the
+ * way; higher orders narrow it at every mirror of the chain.
+ *
+ * @param {Object} image - Image from computeScene
+ * @param {Object} scene - The scene the image belongs to
+ * @param {number} [cellSize=20] - Size of the square cells sampled, in pixels
+ * @returns {Array} Cells { x, y, size } (top-left corner) whose centers see the image
+ */
+function visibilityRegion(image, scene, cellSize = 20) {
+  const resolved = resolveScene(scene);
+  const { bounds } = resolved;
+  const cells = [];
+
+  for (let y = bounds.y; y < bounds.y + bounds.height; y += cellSize) {
+    for (let x = bounds.x; x < bounds.x + bounds.width; x += cellSize) {
+      if (isVisibleFrom(image, { x: x + cellSize / 2, y: y + cellSize / 2 }, resolved)) {
+        cells.push({ x, y, size: cellSize });
+      }
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Count the images the eye would see from each point of a grid
+ * The eye is moved to the center of every cell in turn (see countImagesFrom). It
+ * keeps its direction and field of view; extra eyes are ignored.
+ *
+ * @param {Object} scene - The scene to survey
+ * @param {Object} [settings] - { cellSize, order }: the size of the square cells in
+ *   pixels (default 25), and the one reflection order to count (default all of them)
+ * @returns {Array} Cells { x, y, size, count } (top-left corner); cells whose centers
+ *   lie inside an obstacle are left out
+ */
+function imageCountMap(scene, settings) {
+  const resolved = resolveScene(scene);
+  const { cellSize = 25, order } = settings || {};
+  const { bounds } = resolved;
+  const cells = [];
+
+  for (let y = bounds.y; y < bounds.y + bounds.height; y += cellSize) {
+    for (let x = bounds.x; x < bounds.x + bounds.width; x += cellSize) {
+      const count = countImagesFrom(resolved, { x: x + cellSize / 2, y: y + cellSize / 2 }, order);
+      if (count !== null) cells.push({ x, y, size: cellSize, count });
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Count the images the eye would see if it stood at a point
+ * Only the images are solved for: the rays, the glass apparent positions and the
+ * rejected candidates that computeScene also reports are skipped.
+ *
+ * @param {Object} scene - The scene to survey
+ * @param {Object} point - Where to stand the eye (x, y); it keeps its direction and field of view
+ * @param {number} [order] - The one reflection order to count (default all of them)
+ * @returns {number|null} The count, or null if the point is inside an obstacle
+ */
+function countImagesFrom(scene, point, order) {
+  const resolved = resolveScene(scene);
+  const eye = { ...resolved.eye, x: point.x, y: point.y };
+  if (resolved.obstacles.some(obstacle => isPointInPolygon(eye, obstacle.points))) return null;
+
+  const images = collectSceneImages({ ...resolved, eye });
+  return order === undefined ? images.length : images.filter(image => image.depth === order).length;
+}
+
+/**
+ * Build the record of why an image was rejected
+ *
+ * @param {string} reason - What went wrong (see unreachableReason, plus 'out-of-view',
+ *   'too-dim' and 'no-path' from the solver)
+ * @param {Object} image - The rejected image
+ * @param {Object} [blocker] - Mirror or opaque segment in the way, if any
+ * @returns {Object} { reason, mirror, blocker }
+ */
+function rejection(reason, image, blocker) {
+  return { reason, mirror: image.sourceMirror, blocker: blocker || null };
+}
+
+/**
+ * Check whether any mirror crosses the segment from start to end
+ * Crossings right at the end point are ignored (small margin for floating point errors).
+ * Beamsplitters let light through, so they never block.
+ *
+ * @param {Object} start - Segment start (x,y)
+ * @param {Object} end - Segment end (x,y)
+ * @param {Array} blockers - Mirrors that may block the segment
+ * @returns {boolean} True if the segment is blocked
+ */
+function isSegmentBlocked(start, end, blockers) {
+  return segmentBlocker(start, end, blockers) !== null;
+}
+
+/**
+ * Find the first of the blockers (in list order) that crosses the segment from start to end
+ * Same rules as isSegmentBlocked.
+ *
+ * @param {Object} start - Segment start (x,y)
+ * @param {Object} end - Segment end (x,y)
+ * @param {Array} blockers - Mirrors or opaque segments that may block the segment
+ * @returns {Object|null} The blocker, or null if the segment is clear
+ */
+function segmentBlocker(start, end, blockers) {
+  const segmentLength = distance(start.x, start.y, end.x, end.y);
+
+  for (let blocker of blockers) {
+    if (isBeamsplitter(blocker)) continue;
+
+    const intersection = intersectMirror(start.x, start.y, end.x, end.y, blocker);
+
+    if (intersection && distance(start.x, start.y, intersection.x, intersection.y) < segmentLength * 0.99) {
+      return blocker;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collect every opaque edge in the scene: walls and the sides of obstacles
+ *
+ * @param {Object} scene - Scene with optional walls and obstacles
+ * @returns {Array} Segments (x1, y1, x2, y2) that light cannot pass
+ */
+function opaqueSegments(scene) {
+  const segments = [...(scene.walls || [])];
+
+  for (let obstacle of scene.obstacles || []) {
+    const points = obstacle.points;
+    for (let i = 0; i < points.length; i++) {
+      const next = points[(i + 1) % points.length];
+      segments.push({ x1: points[i].x, y1: points[i].y, x2: next.x, y2: next.y });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Calculate hit points for a reflection chain
+ * Determines where light rays intersect mirrors in a reflection sequence
+ *
+ * @param {Array} reflectionChain - The chain of images from ball to eye
+ * @param {Object} scene - Scene with ball, eye and mirrors
+ * @returns {Array} Array of hit points (ball to eye) or null if invalid
+ */
+function computeHitPoints(reflectionChain, scene) {
+  const { eye, mirrors } = scene;
+  const ball = imageSource(reflectionChain[0], scene);
+
+  // Trace backwards from the eye: each hit point lies on the sight line
+  // from the previous point toward the image formed by that mirror
+  const hitPoints = [];
+  let previousPoint = eye;
+
+  for (let i = reflectionChain.length - 1; i >= 0; i--) {
+    const currentImage = reflectionChain[i];
+    const currentMirror = currentImage.sourceMirror;
+
+    const hitPoint = intersectSightLine(previousPoint, currentImage, currentMirror);
+
+    if (!hitPoint) return null;
+
+    // Add mirror and virtual image data to the hit point
+    hitPoint.mirror = currentMirror;
+    hitPoint.virtualImage = currentImage;
+    hitPoint.mirrorIndex = mirrors.indexOf(currentMirror);
+
+    hitPoints.push(hitPoint);
+    previousPoint = hitPoint;
+  }
+
+  // Now check if there's a clear path from the last hit point to the ball
+  // (no mirrors outside the chain in between)
+  const chainMirrors = reflectionChain.map(image => image.sourceMirror);
+  const opaque = opaqueSegments(scene);
+  const blockers = [...mirrors.filter(mirror => !chainMirrors.includes(mirror)), ...opaque];
+
+  if (isSegmentBlocked(hitPoints[hitPoints.length - 1], ball, blockers)) return null;
+
+  // Every leg of the light's path must also be clear of walls and obstacles
+  const path = [eye, ...hitPoints];
+  for (let i = 0; i < path.length - 1; i++) {
+    if (isSegmentBlocked(path[i], path[i + 1], opaque)) return null;
+  }
+
+  // Return the hit points in reverse order (from ball to eye)
+  return hitPoints.reverse();
+}
+
+// MIRROR SHAPES
+
+/**
+ * Check whether a mirror entry is a thin lens rather than a mirror
+ *
+ * @param {Object} mirror - The element to check
+ * @returns {boolean} True for lenses
+ */
+function isLens(mirror) {
+  return mirror.type === 'lens';
+}
+
+/**
+ * Check whether a mirror reflects from both faces (double-sided mirrors and beamsplitters)
+ *
+ * @param {Object} mirror - The mirror to check
+ * @returns {boolean} True if both faces reflect
+ */
+function isTwoSided(mirror) {
+  return mirror.type === 'double' || mirror.type === 'beamsplitter';
+}
+
+/**
+ * Check whether a mirror is a beamsplitter (reflects part of the light, transmits the rest)
+ *
+ * @param {Object} mirror - The mirror to check
+ * @returns {boolean} True for beamsplitters
+ */
+function isBeamsplitter(mirror) {
+  return mirror.type === 'beamsplitter';
+}
+
+/**
+ * The back face of a two-sided mirror, seen as a mirror of its own
+ * Its normal points the other way, so a concave arc looks convex from behind and vice versa
+ *
+ * @param {Object} mirror - Two-sided mirror
+ * @returns {Object} Mirror geometry for the back face
+ */
+function backFace(mirror) {
+  const face = Object.assign({}, mirror, { normal: { x: -mirror.normal.x, y: -mirror.normal.y } });
+  if (isCurvedMirror(mirror)) {
+    face.curvature = mirror.curvature === 'convex' ? 'concave' : 'convex';
+  }
+  return face;
+}
+
+/**
+ * Which side of a lens a point is on
+ *
+ * @param {Object} point - The point (x,y)
+ * @param {Object} lens - The lens
+ * @returns {number} 1 on the side its normal points to, -1 on the other
+ */
+function sideOfLens(point, lens) {
+  return dotProduct({ x: point.x - lens.x1, y: point.y - lens.y1 }, lens.normal) > 0 ? 1 : -1;
+}
+
+/**
+ * Check whether a mirror is a curved (arc) mirror
+ *
+ * @param {Object} mirror - The mirror to check
+ * @returns {boolean} True for arc mirrors
+ */
+function isCurvedMirror(mirror) {
+  return mirror.shape === 'arc';
+}
+
+/**
+ * Derive the circle an arc mirror lies on
+ * The arc spans the segment x1,y1 -> x2,y2 and bows away from the reflective
+ * side for concave mirrors and toward it for convex ones. A radius shorter
+ * than half the segment is treated as a semicircle.
+ *
+ * @param {Object} mirror - Arc mirror
+ * @returns {Object} center, radius, vertex (arc midpoint on the optical axis),
+ *   focalLength (positive when concave), startAngle and span (radians, span <= PI)
+ */
+function arcGeometry(mirror) {
+  const normal = mirror.normal;
+  const midX = (mirror.x1 + mirror.x2) / 2;
+  const midY = (mirror.y1 + mirror.y2) / 2;
+  const halfChord = distance(mirror.x1, mirror.y1, mirror.x2, mirror.y2) / 2;
+  const radius = Math.max(mirror.radius || 0, halfChord);
+
+  // Distance from the segment's midpoint to the center of curvature
+  const centerOffset = Math.sqrt(radius * radius - halfChord * halfChord);
+
+  // Concave mirrors have their center of curvature on the reflective side
+  const side = mirror.curvature === 'convex' ? -1 : 1;
+  const center = {
+    x: midX + side * normal.x * centerOffset,
+    y: midY + side * normal.y * centerOffset
+  };
+  const vertex = {
+    x: center.x - side * normal.x * radius,
+    y: center.y - side * normal.y * radius
+  };
+
+  // The arc is the short way round between the endpoints
+  const angle1 = Math.atan2(mirror.y1 - center.y, mirror.x1 - center.x);
+  const angle2 = Math.atan2(mirror.y2 - center.y, mirror.x2 - center.x);
+  let span = angle2 - angle1;
+  while (span > Math.PI) span -= 2 * Math.PI;
+  while (span <= -Math.PI) span += 2 * Math.PI;
+
+  return {
+    center,
+    radius,
+    vertex,
+    focalLength: side * radius / 2,
+    startAngle: span >= 0 ? angle1 : angle2,
+    span: Math.abs(span)
+  };
+}
+
+/**
+ * Form the image of a point in a mirror
+ * Flat mirrors reflect the point across the mirror line. Arc mirrors use the
+ * paraxial mirror equation 1/do + 1/di = 1/f about the axis through the vertex,
+ * which gives real inverted images beyond the focal point of a concave mirror,
+ * magnified virtual ones inside it, and no finite image at the focal point.
+ * Lenses are handed to imageInLens.
+ *
+ * @param {Object} point - The object (x,y)
+ * @param {Object} mirror - The mirror forming the image
+ * @returns {Object|null} { x, y, magnification, real }, or null if the object is
+ *   behind the mirror or no finite image forms
+ */
+function imageInMirror(point, mirror) {
+  if (isLens(mirror)) return imageInLens(point, mirror);
+
+  const normal = mirror.normal;
+
+  if (!isCurvedMirror(mirror)) {
+    // Only reflect objects on the reflective side of the mirror (either side if two-sided)
+    const normalDistance = dotProduct({ x: point.x - mirror.x1, y: point.y - mirror.y1 }, normal);
+    if (normalDistance === 0 || (normalDistance < 0 && !isTwoSided(mirror))) return null;
+
+    const position = createVirtualImage(point, mirror);
+    return { x: position.x, y: position.y, magnification: 1, real: false };
+  }
+
+  const arc = arcGeometry(mirror);
+  const tangent = { x: -normal.y, y: normal.x };
+  const offset = { x: point.x - arc.vertex.x, y: point.y - arc.vertex.y };
+
+  // Object distance along the optical axis and height off it
+  const objectDistance = dotProduct(offset, normal);
+  const objectHeight = dotProduct(offset, tangent);
+
+  // Objects behind a two-sided arc see its back face, which curves the other way
+  if (objectDistance < 0 && isTwoSided(mirror)) return imageInMirror(point, backFace(mirror));
+  if (objectDistance <= 0) return null;
+
+  // An object at the focal point sends parallel rays out: the image is at infinity
+  if (Math.abs(objectDistance - arc.focalLength) < FOCAL_EPSILON) return null;
+
+  const imageDistance = 1 / (1 / arc.focalLength - 1 / objectDistance);
+  const magnification = -imageDistance / objectDistance;
+
+  return {
+    x: arc.vertex.x + normal.x * imageDistance + tangent.x * objectHeight * magnification,
+    y: arc.vertex.y + normal.y * imageDistance + tangent.y * objectHeight * magnification,
+    magnification: magnification,
+    real: imageDistance > 0
+  };
+}
+
+/**
+ * Form the image of a point through a thin lens
+ * Uses the thin lens equation 1/do + 1/di = 1/f about the axis through the lens
+ * center. Objects may sit on either side; real images (di > 0) form on the far
+ * side and virtual ones on the object's own side.
+ *
+ * @param {Object} point - The object (x,y)
+ * @param {Object} lens - The lens (focalLength > 0 converging, < 0 diverging)
+ * @returns {Object|null} { x, y, magnification, real }, or null if the object is on
+ *   the lens plane or at its focal point
+ */
+function imageInLens(point, lens) {
+  const normal = lens.normal;
+  const tangent = { x: -normal.y, y: normal.x };
+  const center = { x: (lens.x1 + lens.x2) / 2, y: (lens.y1 + lens.y2) / 2 };
+  const offset = { x: point.x - center.x, y: point.y - center.y };
+
+  // Signed distance along the axis tells us which side the object is on
+  const axialOffset = dotProduct(offset, normal);
+  const objectDistance = Math.abs(axialOffset);
+  const objectHeight = dotProduct(offset, tangent);
+  if (objectDistance < FOCAL_EPSILON) return null;
+
+  // An object at the focal point sends parallel rays out: the image is at infinity
+  if (Math.abs(objectDistance - lens.focalLength) < FOCAL_EPSILON) return null;
+
+  const imageDistance = 1 / (1 / lens.focalLength - 1 / objectDistance);
+  const magnification = -imageDistance / objectDistance;
+
+  // Positive image distances are measured away from the object's side
+  const side = axialOffset > 0 ? 1 : -1;
+  return {
+    x: center.x - side * normal.x * imageDistance + tangent.x * objectHeight * magnification,
+    y: center.y - side * normal.y * imageDistance + tangent.y * objectHeight * magnification,
+    magnification: magnification,
+    real: imageDistance > 0
+  };
+}
+
+/**
+ * Unit normal of a mirror's surface at a point, pointing out of the reflective side
+ *
+ * @param {Object} mirror - The mirror
+ * @param {Object} point - Point on the mirror (x,y)
+ * @returns {Object} Unit normal vector (x,y)
+ */
+function surfaceNormalAt(mirror, point) {
+  if (!isCurvedMirror(mirror)) return mirror.normal;
+
+  const arc = arcGeometry(mirror);
+  const side = mirror.curvature === 'convex' ? -1 : 1;
+  return {
+    x: side * (arc.center.x - point.x) / arc.radius,
+    y: side * (arc.center.y - point.y) / arc.radius
+  };
+}
+
+/**
+ * Measure the angles of incidence and reflection where a ray bounces off a surface
+ * Both are taken from the normal on the side the light arrives from, so a perfect
+ * reflection has them equal.
+ *
+ * @param {Object} from - Point the light comes from (x,y)
+ * @param {Object} point - Where it meets the surface (x,y)
+ * @param {Object} to - Point it goes on to (x,y)
+ * @param {Object} normal - Unit surface normal at the point, either way round
+ * @returns {Object} { normal, incidence, reflection } - the normal turned to face the
+ *   incoming light, and the two angles in degrees
+ */
+function reflectionAngles(from, point, to, normal) {
+  const incoming = normalizeVector({ x: from.x - point.x, y: from.y - point.y });
+  const outgoing = normalizeVector({ x: to.x - point.x, y: to.y - point.y });
+  const facing = dotProduct(incoming, normal) < 0 ? { x: -normal.x, y: -normal.y } : normal;
+  const angleFromNormal = direction => Math.acos(Math.max(-1, Math.min(1, dotProduct(direction, facing)))) * 180 / Math.PI;
+
+  return {
+    normal: facing,
+    incidence: angleFromNormal(incoming),
+    reflection: angleFromNormal(outgoing)
+  };
+}
+
+/**
+ * Find where a line segment crosses a mirror's surface
+ *
+ * @param {number} x1 - Segment start x-coordinate
+ * @param {number} y1 - Segment start y-coordinate
+ * @param {number} x2 - Segment end x-coordinate
+ * @param {number} y2 - Segment end y-coordinate
+ * @param {Object} mirror - Flat or arc mirror
+ * @returns {Object} Intersection closest to the segment start, or null
+ */
+function intersectMirror(x1, y1, x2, y2, mirror) {
+  if (!isCurvedMirror(mirror)) {
+    return lineIntersection(x1, y1, x2, y2, mirror.x1, mirror.y1, mirror.x2, mirror.y2);
+  }
+
+  const arc = arcGeometry(mirror);
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const fx = x1 - arc.center.x;
+  const fy = y1 - arc.center.y;
+
+  // Solve |start + t * d - center| = radius for t in [0, 1]
+  const a = dx * dx + dy * dy;
+  const b = 2 * (fx * dx + fy * dy);
+  const c = fx * fx + fy * fy - arc.radius * arc.radius;
+  const discriminant = b * b - 4 * a * c;
+  if (a === 0 || discriminant < 0) return null;
+
+  const root = Math.sqrt(discriminant);
+  const candidates = [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+
+  for (let t of candidates) {
+    if (t < 0 || t > 1) continue;
+
+    const point = { x: x1 + t * dx, y: y1 + t * dy };
+    if (isAngleOnArc(Math.atan2(point.y - arc.center.y, point.x - arc.center.x), arc)) {
+      return point;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find where the sight line from a point toward an image meets the mirror that formed it
+ * Virtual images sit behind the mirror, so the mirror lies between the point and the
+ * image. Real images sit in front of it, so the mirror lies beyond the image.
+ *
+ * @param {Object} from - Where the sight line starts (eye or previous hit point)
+ * @param {Object} image - Image formed by the mirror
+ * @param {Object} mirror - The mirror
+ * @returns {Object} Hit point on the mirror, or null
+ */
+function intersectSightLine(from, image, mirror) {
+  if (!image.real) {
+    return intersectMirror(from.x, from.y, image.x, image.y, mirror);
+  }
+
+  const length = Math.max(distance(from.x, from.y, image.x, image.y), 1e-9);
+  const reach = SIGHT_LINE_REACH / length;
+  return intersectMirror(
+    image.x, image.y,
+    from.x + (image.x - from.x) * reach, from.y + (image.y - from.y) * reach,
+    mirror
+  );
+}
+
+/**
+ * Distance from a point to the nearest point of a mirror
+ * Used for picking mirrors with the mouse
+ *
+ * @param {Object} point - The point (x,y)
+ * @param {Object} mirror - Flat or arc mirror
+ * @returns {number} Distance in pixels
+ */
+function distanceToMirror(point, mirror) {
+  if (isCurvedMirror(mirror)) {
+    const arc = arcGeometry(mirror);
+    const angle = Math.atan2(point.y - arc.center.y, point.x - arc.center.x);
+
+    if (isAngleOnArc(angle, arc)) {
+      return Math.abs(distance(point.x, point.y, arc.center.x, arc.center.y) - arc.radius);
+    }
+    return Math.min(
+      distance(point.x, point.y, mirror.x1, mirror.y1),
+      distance(point.x, point.y, mirror.x2, mirror.y2)
+    );
+  }
+
+  const lengthSquared = (mirror.x2 - mirror.x1) ** 2 + (mirror.y2 - mirror.y1) ** 2;
+  if (lengthSquared === 0) return distance(point.x, point.y, mirror.x1, mirror.y1);
+
+  const t = Math.max(0, Math.min(1,
+    ((point.x - mirror.x1) * (mirror.x2 - mirror.x1) + (point.y - mirror.y1) * (mirror.y2 - mirror.y1)) / lengthSquared));
+  return distance(point.x, point.y, mirror.x1 + t * (mirror.x2 - mirror.x1), mirror.y1 + t * (mirror.y2 - mirror.y1));
+}
+
+/**
+ * Check whether an angle (around the arc's center) falls within the arc
+ *
+ * @param {number} angle - Angle in radians
+ * @param {Object} arc - Result of arcGeometry
+ * @returns {boolean} True if the angle is on the arc
+ */
+function isAngleOnArc(angle, arc) {
+  let delta = (angle - arc.startAngle) % (2 * Math.PI);
+  if (delta < 0) delta += 2 * Math.PI;
+  return delta <= arc.span + 1e-9;
+}
+
+// REFRACTION
+
+/**
+ * Trace a ray through the scene's glass, bending it with Snell's law
+ * n1 sin(i) = n2 sin(t) at every boundary; when no refracted ray exists the
+ * ray is totally internally reflected instead. Mirrors are ignored here.
+ *
+ * @param {Object} origin - Ray start (x,y)
+ * @param {Object} direction - Ray direction (x,y), need not be unit length
+ * @param {Object} scene - Scene with glass
+ * @returns {Array} Polyline of points, starting at origin and ending RAY_REACH past the last crossing
+ */
+function traceRay(origin, direction, scene) {
+  const points = [{ x: origin.x, y: origin.y }];
+  let position = origin;
+  let heading = normalizeVector(direction);
+  let insideBlock = scene.glass.find(block => isPointInPolygon(origin, block.points)) || null;
+
+  for (let segment = 0; segment < MAX_RAY_SEGMENTS; segment++) {
+    const crossing = findNextGlassCrossing(position, heading, scene.glass);
+
+    if (!crossing) break;
+
+    ({ heading, insideBlock } = crossGlassBoundary(heading, crossing, insideBlock));
+    position = crossing.point;
+    points.push({ x: position.x, y: position.y });
+  }
+
+  points.push({ x: position.x + heading.x * RAY_REACH, y: position.y + heading.y * RAY_REACH });
+  return points;
+}
+
+/**
+ * Work out a ray's new heading where it meets a glass boundary
+ *
+ * @param {Object} heading - Unit incident direction
+ * @param {Object} crossing - Boundary crossing from findNextGlassCrossing
+ * @param {Object|null} insideBlock - Glass block the ray is travelling through, if any
+ * @returns {Object} { heading, insideBlock } after the boundary
+ */
+function crossGlassBoundary(heading, crossing, insideBlock) {
+  // Indices on either side of the boundary (glass blocks are assumed not to overlap)
+  const entering = dotProduct(heading, crossing.outwardNormal) < 0;
+  const n1 = insideBlock ? insideBlock.refractiveIndex : 1;
+  const n2 = entering ? crossing.block.refractiveIndex : 1;
+
+  // Normal facing back against the incoming ray
+  const facing = entering
+    ? crossing.outwardNormal
+    : { x: -crossing.outwardNormal.x, y: -crossing.outwardNormal.y };
+
+  const refracted = refractDirection(heading, facing, n1, n2);
+  if (refracted) {
+    return { heading: refracted, insideBlock: entering ? crossing.block : null };
+  }
+
+  // Total internal reflection: the ray stays in the glass
+  return { heading: reflectDirection(heading, facing), insideBlock };
+}
+
+/**
+ * Find the nearest glass boundary a ray crosses
+ *
+ * @param {Object} position - Ray start (x,y)
+ * @param {Object} heading - Unit ray direction
+ * @param {Array} glass - Glass blocks
+ * @returns {Object|null} { point, outwardNormal, block } or null if the ray leaves all glass behind
+ */
+function findNextGlassCrossing(position, heading, glass) {
+  // Nudge the start forward so the boundary the ray is sitting on is not found again
+  const startX = position.x + heading.x * 1e-6;
+  const startY = position.y + heading.y * 1e-6;
+  const endX = position.x + heading.x * RAY_REACH;
+  const endY = position.y + heading.y * RAY_REACH;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (let block of glass) {
+    const points = block.points;
+    const orientation = polygonOrientation(points);
+
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const hit = lineIntersection(startX, startY, endX, endY, a.x, a.y, b.x, b.y);
+      if (!hit) continue;
+
+      const hitDistance = distance(position.x, position.y, hit.x, hit.y);
+      if (hitDistance < nearestDistance) {
+        nearestDistance = hitDistance;
+        const edge = normalizeVector({ x: b.x - a.x, y: b.y - a.y });
+        nearest = {
+          point: hit,
+          outwardNormal: { x: edge.y * orientation, y: -edge.x * orientation },
+          block
+        };
+      }
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Bend a unit direction across a boundary with Snell's law
+ *
+ * @param {Object} heading - Unit incident direction
+ * @param {Object} facing - Unit boundary normal pointing back toward the incident side
+ * @param {number} n1 - Refractive index on the incident side
+ * @param {number} n2 - Refractive index on the far side
+ * @returns {Object|null} Unit refracted direction, or null on total internal reflection
+ */
+function refractDirection(heading, facing, n1, n2) {
+  const eta = n1 / n2;
+  const cosIncidence = -dotProduct(heading, facing);
+  const k = 1 - eta * eta * (1 - cosIncidence * cosIncidence);
+
+  if (k < 0) return null;
+
+  const factor = eta * cosIncidence - Math.sqrt(k);
+  return normalizeVector({
+    x: eta * heading.x + factor * facing.x,
+    y: eta * heading.y + factor * facing.y
+  });
+}
+
+/**
+ * Reflect a direction off a surface: r = i - 2(i·n)n
+ *
+ * @param {Object} heading - Incident direction
+ * @param {Object} normal - Unit surface normal
+ * @returns {Object} Reflected direction
+ */
+function reflectDirection(heading, normal) {
+  const dot = dotProduct(heading, normal);
+  return {
+    x: heading.x - 2 * dot * normal.x,
+    y: heading.y - 2 * dot * normal.y
+  };
+}
+
+/**
+ * Find the path light takes from one point to another through the scene's glass
+ * The launch angle is solved for with the secant method, starting from the straight
+ * line between the points: glass only shifts a ray sideways, so a few traces are
+ * usually enough. When that fails (a ray clips a corner or is totally internally
+ * reflected), launch angles are stepped outward from the straight line until the
+ * ray swings across the target and that bracket is bisected, so the path leaving
+ * closest to the straight line is the one found.
+ *
+ * @param {Object} from - Start point (x,y)
+ * @param {Object} to - End point (x,y)
+ * @param {Object} scene - Scene with glass
+ * @returns {Object|null} { points, angle } - polyline from `from` to `to` and the launch angle, or null
+ */
+function findRefractedPath(from, to, scene) {
+  const straightAngle = Math.atan2(to.y - from.y, to.x - from.x);
+  const launch = angle => ({
+    angle,
+    miss: pathMiss(traceRay(from, { x: Math.cos(angle), y: Math.sin(angle) }, scene), to)
+  });
+  const found = ({ angle, miss }) => ({ angle, points: [...miss.points, { x: to.x, y: to.y }] });
+
+  let previous = launch(straightAngle);
+  if (previous.miss.distance <= PATH_TOLERANCE) return found(previous);
+
+  let current = launch(straightAngle + PATH_SECANT_STEP);
+  for (let iteration = 0; iteration < PATH_SECANT_ITERATIONS; iteration++) {
+    if (current.miss.distance <= PATH_TOLERANCE) return found(current);
+
+    const slope = (current.miss.offset - previous.miss.offset) / (current.angle - previous.angle);
+    if (!isFinite(slope) || slope === 0) break;
+
+    // Short steps keep the solve on the root nearest the straight line
+    const maxStep = 2 * Math.PI / PATH_SEARCH_SAMPLES;
+    const angleStep = Math.max(-maxStep, Math.min(maxStep, -current.miss.offset / slope));
+    previous = current;
+    current = launch(current.angle + angleStep);
+  }
+
+  return searchRefractedPath(straightAngle, launch, found);
+}
+
+/**
+ * Fallback for findRefractedPath: step launch angles outward from the straight line
+ * on both sides, and bisect the first pair between which the ray crosses the target
+ *
+ * @param {number} straightAngle - Angle of the straight line to the target
+ * @param {Function} launch - Traces a ray at an angle, giving { angle, miss }
+ * @param {Function} found - Turns a launch that hits the target into the path
+ * @returns {Object|null} The path, or null if no launch angle reaches the target
+ */
+function searchRefractedPath(straightAngle, launch, found) {
+  const step = 2 * Math.PI / PATH_SEARCH_SAMPLES;
+  const straight = launch(straightAngle);
+  const last = [straight, straight];
+
+  for (let i = 1; i <= PATH_SEARCH_SAMPLES / 2; i++) {
+    for (let side = 0; side < 2; side++) {
+      const next = launch(straightAngle + (side === 0 ? i : -i) * step);
+      let [low, high] = [last[side], next];
+      last[side] = next;
+      if (Math.sign(low.miss.offset) === Math.sign(high.miss.offset)) continue;
+
+      for (let iteration = 0; iteration < 40 && high.miss.distance > PATH_TOLERANCE; iteration++) {
+        const middle = launch((low.angle + high.angle) / 2);
+        if (Math.sign(middle.miss.offset) === Math.sign(low.miss.offset)) low = middle;
+        else high = middle;
+      }
+      if (high.miss.distance <= PATH_TOLERANCE) return found(high);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * How closely a traced polyline passes a target point
+ *
+ * @param {Array} points - Polyline from traceRay
+ * @param {Object} target - Target point (x,y)
+ * @returns {Object} { distance, offset, points } - closest approach, which side of the
+ *   closest segment the target lies on (signed distance from its line) and the
+ *   polyline up to (not including) the target
+ */
+function pathMiss(points, target) {
+  let closest = { distance: Infinity, offset: Infinity, points: [] };
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const miss = distanceToMirror(target, { x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+
+    if (miss < closest.distance) {
+      const along = normalizeVector({ x: b.x - a.x, y: b.y - a.y });
+      closest = {
+        distance: miss,
+        offset: along.x * (target.y - a.y) - along.y * (target.x - a.x),
+        points: points.slice(0, i + 1)
+      };
+    }
+  }
+
+  return closest;
+}
+
+/**
+ * Check that a ray path keeps the law of reflection at every mirror it bounces off
+ * Hit points are found as if light travelled in straight lines, so where glass
+ * bends the legs either side of a bounce, the path can meet the mirror at angles
+ * the law does not allow. Lenses refract instead of reflecting, so they are skipped.
+ *
+ * @param {Array} points - The path: source, hit points (with any bends between them), eye
+ * @param {Array} hitPoints - The hit points on the path
+ * @returns {boolean} True if the two angles agree within REFLECTION_LAW_TOLERANCE at every bounce
+ */
+function keepsReflectionLaw(points, hitPoints) {
+  return hitPoints.every(hitPoint => {
+    if (isLens(hitPoint.mirror)) return true;
+
+    const index = points.findIndex(point => point.x === hitPoint.x && point.y === hitPoint.y);
+    if (index <= 0 || index >= points.length - 1) return true;
+
+    const angles = reflectionAngles(points[index - 1], hitPoint, points[index + 1], surfaceNormalAt(hitPoint.mirror, hitPoint));
+    return Math.abs(angles.incidence - angles.reflection) <= REFLECTION_LAW_TOLERANCE;
+  });
+}
+
+/**
+ * Replace each straight leg of a ray path that crosses glass with its refracted path
+ *
+ * @param {Array} points - Straight-line path (ball, hit points..., eye)
+ * @param {Object} scene - Scene with glass
+ * @returns {Array} Path with the bends added
+ */
+function bendThroughGlass(points, scene) {
+  if (scene.glass.length === 0) return points;
+
+  const bent = [points[0]];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    const path = crossesGlass(from, to, scene.glass) ? findRefractedPath(from, to, scene) : null;
+
+    if (path) {
+      bent.push(...path.points.slice(1));
+    } else {
+      bent.push(to);
+    }
+  }
+
+  return bent;
+}
+
+/**
+ * Find where the eye sees an object when light from it passes through glass
+ * The refracted path to the eye is found, then two neighboring rays are traced
+ * from the object; extending their final legs backwards, they meet at the
+ * apparent position.
+ *
+ * @param {Object} object - The object (x, y, radius)
+ * @param {Object} eye - Observer position (x,y)
+ * @param {Object} scene - Scene with glass
+ * @returns {Object|null} { x, y, radius, path } or null if no glass is in the way
+ */
+function findApparentPosition(object, eye, scene) {
+  if (scene.glass.length === 0 || !crossesGlass(object, eye, scene.glass)) return null;
+
+  const path = findRefractedPath(object, eye, scene);
+  if (!path) return null;
+
+  // Final legs of two rays either side of the one reaching the eye
+  const spread = 0.002;
+  const finalLegs = [path.angle - spread, path.angle + spread].map(angle => {
+    const traced = traceRay(object, { x: Math.cos(angle), y: Math.sin(angle) }, scene);
+    return [traced[traced.length - 2], traced[traced.length - 1]];
+  });
+
+  const apparent = lineCrossing(finalLegs[0][0], finalLegs[0][1], finalLegs[1][0], finalLegs[1][1]);
+  if (!apparent) return null;
+
+  return {
+    x: apparent.x,
+    y: apparent.y,
+    radius: object.radius,
+    object,
+    path: path.points
+  };
+}
+
+/**
+ * Check whether the straight segment between two points touches any glass
+ *
+ * @param {Object} from - Segment start (x,y)
+ * @param {Object} to - Segment end (x,y)
+ * @param {Array} glass - Glass blocks
+ * @returns {boolean} True if the segment enters, leaves or lies in glass
+ */
+function crossesGlass(from, to, glass) {
+  return glass.some(block =>
+    isPointInPolygon(from, block.points) ||
+    isPointInPolygon(to, block.points) ||
+    block.points.some((a, i) => {
+      const b = block.points[(i + 1) % block.points.length];
+      return lineIntersection(from.x, from.y, to.x, to.y, a.x, a.y, b.x, b.y) !== null;
+    }));
+}
+
+/**
+ * Check whether a point lies inside a polygon (even-odd rule)
+ *
+ * @param {Object} point - The point (x,y)
+ * @param {Array} points - Polygon vertices
+ * @returns {boolean} True if inside
+ */
+function isPointInPolygon(point, points) {
+  let inside = false;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Winding direction of a polygon, used to orient edge normals outward
+ *
+ * @param {Array} points - Polygon vertices
+ * @returns {number} 1 for clockwise on screen (y down), -1 for counter-clockwise
+ */
+function polygonOrientation(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area >= 0 ? 1 : -1;
+}
+
+/**
+ * Intersection of two infinite lines, each given by two points
+ *
+ * @param {Object} a1 - First line point
+ * @param {Object} a2 - Second point on the first line
+ * @param {Object} b1 - Second line point
+ * @param {Object} b2 - Second point on the second line
+ * @returns {Object|null} Crossing point, or null if the lines are parallel
+ */
+function lineCrossing(a1, a2, b1, b2) {
+  const den = (b2.y - b1.y) * (a2.x - a1.x) - (b2.x - b1.x) * (a2.y - a1.y);
+  if (Math.abs(den) < 1e-12) return null;
+
+  const ua = ((b2.x - b1.x) * (a1.y - b1.y) - (b2.y - b1.y) * (a1.x - b1.x)) / den;
+  return {
+    x: a1.x + ua * (a2.x - a1.x),
+    y: a1.y + ua * (a2.y - a1.y)
+  };
+}
+
+// EYE VIEW
+
+/**
+ * Everything the eye sees, laid out by bearing like a panoramic photo
+ * The eye sees each source object straight on (or displaced, through glass)
+ * when nothing is in the way, and every visible image in the direction its
+ * light arrives from: along the last leg of its ray path.
+ *
+ * @param {Object} scene - The scene to look at
+ * @param {Object} [solved] - computeScene's result for this scene, to save solving it again
+ * @returns {Array} { bearing, angularSize, distance, depth, object, intensity, image } sorted
+ *   from far to near, so drawing them in order lets nearer things cover farther ones.
+ *   Bearings are degrees clockwise on screen from +x in [0, 360); angular sizes are in
+ *   radians; depth 0 marks a source seen directly, when image is the source itself or
+ *   its refracted image
+ */
+function viewFromEye(scene, solved) {
+  const resolved = resolveScene(scene);
+  const { images, refractedImages } = solved || computeScene(resolved);
+  const eye = resolved.eye;
+  const view = [];
+
+  for (let source of [resolved.ball, ...resolved.objects]) {
+    const refracted = refractedImages.find(image => image.object === source);
+    const seen = refracted || (isDirectlyVisible(source, resolved) ? source : null);
+    if (!seen) continue;
+
+    view.push({
+      bearing: bearingFrom(eye, seen),
+      angularSize: angularSize(source.radius, seen, eye),
+      distance: distance(eye.x, eye.y, seen.x, seen.y),
+      depth: 0,
+      object: source,
+      intensity: 1,
+      image: seen
+    });
+  }
+
+  for (let image of images) {
+    view.push({
+      bearing: bearingFrom(eye, image.hitPoints[image.hitPoints.length - 1]),
+      angularSize: image.angularSize,
+      distance: distance(eye.x, eye.y, image.x, image.y),
+      depth: image.depth,
+      object: image.object,
+      intensity: image.intensity,
+      image
+    });
+  }
+
+  return view.sort((a, b) => b.distance - a.distance);
+}
+
+/**
+ * Check whether the eye can see a source object straight on
+ * Glass between them bends the view (see findApparentPosition); mirrors, lenses,
+ * walls and obstacles block it, and so does looking the other way.
+ *
+ * @param {Object} source - The ball or another source object
+ * @param {Object} scene - Resolved scene
+ * @returns {boolean} True if the straight line from the eye to the source is clear
+ */
+function isDirectlyVisible(source, scene) {
+  const { eye } = scene;
+  if (!isInFieldOfView(eye, source)) return false;
+  if (scene.glass.length > 0 && crossesGlass(source, eye, scene.glass)) return false;
+  return !isSegmentBlocked(eye, source, [...scene.mirrors, ...opaqueSegments(scene)]);
+}
+
+/**
+ * Direction from one point to another
+ *
+ * @param {Object} from - Where the bearing is taken from (x,y)
+ * @param {Object} to - Point being looked at (x,y)
+ * @returns {number} Degrees clockwise on screen from +x, in [0, 360)
+ */
+function bearingFrom(from, to) {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+  return (angle + 360) % 360;
+}
+
+// FORWARD TRACING
+
+/**
+ * Fan rays out of the ball and every other source object and follow each one
+ * through the scene. This is the forward counterpart to computeScene: instead of
+ * working back from images, photons leave the sources and bounce until they are
+ * absorbed, leave the scene or enter the eye.
+ *
+ * @param {Object} scene - Scene with ball, eye, mirrors and glass
+ * @param {Object} [settings] - { count, startAngle, endAngle }: how many rays and the
+ *   range of launch angles in degrees (clockwise on screen from +x). A full turn
+ *   spaces the rays evenly; a partial range includes both ends.
+ * @returns {Array} { angle, object, points, bounces, reachesEye, intensity } for every
+ *   ray from every source, plus one for each branch split off at a beamsplitter
+ */
+function traceSourceRays(scene, settings) {
+  const resolved = resolveScene(scene);
+  const { count = 36, startAngle = 0, endAngle = 360 } = settings || {};
+  const span = endAngle - startAngle;
+  const fullTurn = Math.abs(span) >= 360;
+  const step = count > 1 ? span / (fullTurn ? count : count - 1) : 0;
+
+  const rays = [];
+  for (let source of [resolved.ball, ...resolved.objects]) {
+    for (let i = 0; i < count; i++) {
+      const angle = startAngle + i * step;
+      const radians = angle * Math.PI / 180;
+      for (let ray of traceForwardRay(source, { x: Math.cos(radians), y: Math.sin(radians) }, resolved)) {
+        ray.angle = angle;
+        ray.object = source;
+        rays.push(ray);
+      }
+    }
+  }
+
+  return rays;
+}
+
+/**
+ * Follow one photon through the scene with the law of reflection
+ * Mirrors reflect from their blue side and absorb light arriving at the black
+ * side; walls and obstacles absorb it; lenses and glass bend it. A beamsplitter
+ * splits the ray: the reflected part carries on and the transmitted part is
+ * traced as a separate branch. A ray stops after maxDepth mirror or lens
+ * interactions, when it is absorbed, when it leaves the scene or when it
+ * passes within eyeRadius of the eye from a direction the eye is looking in.
+ *
+ * @param {Object} origin - Where the photon starts (x,y)
+ * @param {Object} direction - Launch direction (x,y)
+ * @param {Object} scene - Resolved scene
+ * @param {Object} [from] - Path so far when tracing a branch: { points, bounces, intensity, insideBlock }
+ * @returns {Array} Paths { points, bounces, reachesEye, intensity } - the polyline, the number
+ *   of mirror and lens interactions, whether it ends in the eye and the fraction of the
+ *   light left; the main path comes first, followed by any branches
+ */
+function traceForwardRay(origin, direction, scene, from) {
+  const { eye, options } = scene;
+  const points = from ? [...from.points] : [{ x: origin.x, y: origin.y }];
+  let position = origin;
+  let heading = normalizeVector(direction);
+  let insideBlock = from ? from.insideBlock : scene.glass.find(block => isPointInPolygon(origin, block.points)) || null;
+  let bounces = from ? from.bounces : 0;
+  let intensity = from ? from.intensity : 1;
+  const branches = [];
+  const finish = reachesEye => [{ points, bounces, reachesEye, intensity }, ...branches];
+
+  for (let segment = points.length; segment < MAX_RAY_SEGMENTS + options.maxDepth; segment++) {
+    const surface = findNextSurface(position, heading, scene);
+    const crossing = findNextGlassCrossing(position, heading, scene.glass);
+    const glassFirst = crossing && (!surface ||
+      distance(position.x, position.y, crossing.point.x, crossing.point.y) < surface.distance);
+
+    const next = glassFirst ? crossing.point : surface ? surface.point : {
+      x: position.x + heading.x * RAY_REACH,
+      y: position.y + heading.y * RAY_REACH
+    };
+
+    // Does this leg pass through the eye before reaching anything? The eye sees
+    // light arriving from the way it faces, so it looks back along the heading
+    const legToEye = { x1: position.x, y1: position.y, x2: next.x, y2: next.y };
+    const lookingBack = { x: eye.x - heading.x, y: eye.y - heading.y };
+    if (distanceToMirror(eye, legToEye) <= options.eyeRadius && isInFieldOfView(eye, lookingBack)) {
+      points.push({ x: eye.x, y: eye.y });
+      return finish(true);
+    }
+
+    points.push({ x: next.x, y: next.y });
+    position = next;
+
+    if (glassFirst) {
+      ({ heading, insideBlock } = crossGlassBoundary(heading, crossing, insideBlock));
+      continue;
+    }
+
+    // Leaving the scene, stopped by a wall, or out of bounces
+    if (!surface || !surface.mirror || bounces >= options.maxDepth) break;
+
+    const mirror = surface.mirror;
+    if (isLens(mirror)) {
+      bounces++;
+      heading = bendThroughLens(heading, surface.point, mirror);
+      continue;
+    }
+
+    let normal = surfaceNormalAt(mirror, surface.point);
+    if (dotProduct(heading, normal) >= 0) {
+      // Light arriving at the black side is absorbed
+      if (!isTwoSided(mirror)) break;
+      normal = { x: -normal.x, y: -normal.y };
+    }
+
+    if (isBeamsplitter(mirror)) {
+      // The transmitted part carries straight on as a branch of its own
+      const transmitted = intensity * (1 - mirror.reflectivity);
+      if (transmitted >= MIN_RAY_INTENSITY) {
+        branches.push(...traceForwardRay(position, heading, scene,
+          { points, bounces, intensity: transmitted, insideBlock }));
+      }
+    }
+
+    // Whatever the mirror does not reflect is absorbed (or was transmitted above)
+    intensity *= reflectivityOf(mirror);
+    if (intensity < MIN_RAY_INTENSITY) break;
+
+    bounces++;
+    heading = normalizeVector(reflectDirection(heading, normal));
+  }
+
+  return finish(false);
+}
+
+/**
+ * Find the nearest mirror, lens, wall or obstacle a ray runs into
+ *
+ * @param {Object} position - Ray start (x,y)
+ * @param {Object} heading - Unit ray direction
+ * @param {Object} scene - Scene with mirrors and optional walls and obstacles
+ * @returns {Object|null} { point, mirror, distance } or null if the ray hits nothing;
+ *   mirror is null when the ray stops at a wall or obstacle
+ */
+function findNextSurface(position, heading, scene) {
+  // Nudge the start forward so the surface the ray is leaving is not found again
+  const startX = position.x + heading.x * 1e-6;
+  const startY = position.y + heading.y * 1e-6;
+  const endX = position.x + heading.x * RAY_REACH;
+  const endY = position.y + heading.y * RAY_REACH;
+
+  let nearest = null;
+
+  for (let mirror of scene.mirrors) {
+    const hit = intersectMirror(startX, startY, endX, endY, mirror);
+    if (!hit) continue;
+
+    const hitDistance = distance(position.x, position.y, hit.x, hit.y);
+    if (!nearest || hitDistance < nearest.distance) {
+      nearest = { point: hit, mirror, distance: hitDistance };
+    }
+  }
+
+  for (let segment of opaqueSegments(scene)) {
+    const hit = lineIntersection(startX, startY, endX, endY, segment.x1, segment.y1, segment.x2, segment.y2);
+    if (!hit) continue;
+
+    const hitDistance = distance(position.x, position.y, hit.x, hit.y);
+    if (!nearest || hitDistance < nearest.distance) {
+      nearest = { point: hit, mirror: null, distance: hitDistance };
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Bend a ray passing through an ideal thin lens
+ * Parallel rays meet in the focal plane, so the ray heads for the point where
+ * the undeviated ray through the lens center crosses the focal plane on the far
+ * side (or, for a diverging lens, leaves as if it came from that point on the near side).
+ *
+ * @param {Object} heading - Unit incident direction
+ * @param {Object} point - Where the ray meets the lens (x,y)
+ * @param {Object} lens - The lens
+ * @returns {Object} Unit outgoing direction
+ */
+function bendThroughLens(heading, point, lens) {
+  const center = { x: (lens.x1 + lens.x2) / 2, y: (lens.y1 + lens.y2) / 2 };
+
+  // Lens axis pointing along the direction of travel
+  const travelSide = dotProduct(heading, lens.normal) > 0 ? 1 : -1;
+  const axis = { x: lens.normal.x * travelSide, y: lens.normal.y * travelSide };
+  const alongAxis = dotProduct(heading, axis);
+  if (alongAxis < 1e-9) return heading;
+
+  // Where the central ray with the same heading meets the focal plane
+  const reach = lens.focalLength / alongAxis;
+  const focus = { x: center.x + heading.x * reach, y: center.y + heading.y * reach };
+
+  const outgoing = lens.focalLength > 0
+    ? { x: focus.x - point.x, y: focus.y - point.y }
+    : { x: point.x - focus.x, y: point.y - focus.y };
+  return normalizeVector(outgoing);
+}
+
+// GEOMETRY
+
+/**
+ * Build the complete reflection chain from eye to ball
+ * Traces backwards through parent reflections to construct full path
+ *
+ * @param {Object} reflection - The reflection to trace back from
+ * @returns {Array} Chain of reflections from ball to eye
+ */
+function buildReflectionChain(reflection) {
+  const chain = [];
+  let current = reflection;
+
+  while (current) {
+    chain.push(current);
+    current = current.parentReflection;
+  }
+
+  // Return the chain in reverse order (ball to eye)
+  return chain.reverse();
+}
+
+/**
+ * Create a virtual image of a point reflected in a mirror
+ * Calculates the reflection position using the law of reflection
+ *
+ * @param {Object} point - The point to reflect (x,y)
+ * @param {Object} mirror - The mirror to reflect across
+ * @returns {Object} Virtual image position (x,y)
+ */
+function createVirtualImage(point, mirror) {
+  // Get the mirror normal
+  const mirrorNormal = mirror.normal;
+
+  // Calculate the reflection of the point
+  const pointToMirrorVec = {
+    x: point.x - mirror.x1,
+    y: point.y - mirror.y1
+  };
+
+  // Project the vector onto the normal to get the displacement from the mirror
+  const normalDistance = dotProduct(pointToMirrorVec, mirrorNormal);
+
+  // Reflect the point across the mirror by moving it twice the distance in the normal direction
+  return {
+    x: point.x - 2 * normalDistance * mirrorNormal.x,
+    y: point.y - 2 * normalDistance * mirrorNormal.y
+  };
+}
+
+/**
+ * Unfold an image's chain of plane mirrors into a row of reflected rooms
+ * Seen from the eye, the last mirror of the chain reflects the whole scene into a
+ * first room; the copy of the mirror before it, in that room, reflects it into a
+ * second; and so on. Through the unfolded rooms the light's path to the eye is the
+ * straight line from the image, and the source's copy in the last room is the image.
+ *
+ * @param {Object} image - Image from computeScene, with its hit points
+ * @param {Object} eye - Observer position (x,y)
+ * @returns {Object|null} { rooms, folded, unfolded } - rooms are the affine maps
+ *   { a, b, c, d, e, f } (as taken by p5's applyMatrix) from the real room to each
+ *   reflected room, nearest the eye first; folded is the light's route from the source
+ *   through each hit point to the eye, and unfolded the same points carried into the
+ *   rooms they lie in. Null when the chain has curved mirrors or lenses, which do not unfold
+ */
+function unfoldReflection(image, eye) {
+  const chain = buildReflectionChain(image);
+  if (chain.some(link => isCurvedMirror(link.sourceMirror) || isLens(link.sourceMirror))) return null;
+
+  // Each room's map, found by carrying the origin and unit axes across the copy of
+  // the next mirror in the room before, from the eye end of the chain back to the source
+  const rooms = [];
+  let room = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+  for (let depth = chain.length - 1; depth >= 0; depth--) {
+    const mirror = chain[depth].sourceMirror;
+    const start = applyAffine(room, { x: mirror.x1, y: mirror.y1 });
+    const copy = {
+      x1: start.x,
+      y1: start.y,
+      normal: {
+        x: room.a * mirror.normal.x + room.c * mirror.normal.y,
+        y: room.b * mirror.normal.x + room.d * mirror.normal.y
+      }
+    };
+    const origin = createVirtualImage(applyAffine(room, { x: 0, y: 0 }), copy);
+    const unitX = createVirtualImage(applyAffine(room, { x: 1, y: 0 }), copy);
+    const unitY = createVirtualImage(applyAffine(room, { x: 0, y: 1 }), copy);
+    room = {
+      a: unitX.x - origin.x,
+      b: unitX.y - origin.y,
+      c: unitY.x - origin.x,
+      d: unitY.y - origin.y,
+      e: origin.x,
+      f: origin.y
+    };
+    rooms.push(room);
+  }
+
+  // Hit point i lies on the mirror i links from the source, which sits in room depth - i
+  const source = image.object;
+  const folded = [source, ...image.hitPoints, eye];
+  const unfolded = folded.map((point, i) => {
+    const room = rooms[chain.length - i - 1];
+    return room ? applyAffine(room, point) : { x: point.x, y: point.y };
+  });
+
+  return { rooms, folded, unfolded };
+}
+
+/**
+ * Apply an affine map to a point
+ *
+ * @param {Object} map - { a, b, c, d, e, f }, as taken by p5's applyMatrix
+ * @param {Object} point - The point (x,y)
+ * @returns {Object} Mapped point (x,y)
+ */
+function applyAffine(map, point) {
+  return {
+    x: map.a * point.x + map.c * point.y + map.e,
+    y: map.b * point.x + map.d * point.y + map.f
+  };
+}
+
+/**
+ * Calculate intersection between two line segments
+ * Core geometric function for ray-mirror intersections
+ *
+ * @param {number} x1 - First line start x-coordinate
+ * @param {number} y1 - First line start y-coordinate
+ * @param {number} x2 - First line end x-coordinate
+ * @param {number} y2 - First line end y-coordinate
+ * @param {number} x3 - Second line start x-coordinate
+ * @param {number} y3 - Second line start y-coordinate
+ * @param {number} x4 - Second line end x-coordinate
+ * @param {number} y4 - Second line end y-coordinate
+ * @returns {Object} Intersection point or null if no intersection
+ */
+function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+  // Calculate denominator
+  const den = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
+
+  // If lines are parallel
+  if (den === 0) {
+    return null;
+  }
+
+  // Calculate ua and ub
+  const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / den;
+  const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / den;
+
+  // If intersection is within both line segments
+  if (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1) {
+    const x = x1 + ua * (x2 - x1);
+    const y = y1 + ua * (y2 - y1);
+    return {x, y};
+  }
+
+  return null;
+}
+
+// ===========================
+// VECTOR MATH UTILITIES
+// ===========================
+
+/**
+ * Distance between two points (p5-free replacement for dist())
+ *
+ * @param {number} x1 - First point x-coordinate
+ * @param {number} y1 - First point y-coordinate
+ * @param {number} x2 - Second point x-coordinate
+ * @param {number} y2 - Second point y-coordinate
+ * @returns {number} Euclidean distance
+ */
+function distance(x1, y1, x2, y2) {
+  return Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+}
+
+/**
+ * Normalize a vector to unit length
+ *
+ * @param {Object} v - Vector with x,y components
+ * @returns {Object} Normalized vector
+ */
+function normalizeVector(v) {
+  const length = Math.sqrt(v.x * v.x + v.y * v.y);
+  return {
+    x: v.x / length,
+    y: v.y / length
+  };
+}
+
+/**
+ * Calculate dot product between two vectors
+ *
+ * @param {Object} v1 - First vector with x,y components
+ * @param {Object} v2 - Second vector with x,y components
+ * @returns {number} Dot product result
+ */
+function dotProduct(v1, v2) {
+  return v1.x * v2.x + v1.y * v2.y;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ENGINE_DEFAULTS,
+    BALL_ID,
+    sceneFromArrangement,
+    parseSourceObject,
+    parseMirror,
+    mirrorId,
+    parseGlass,
+    parseWall,
+    parseObstacle,
+    computeScene,
+    computeObserverViews,
+    mergeCoincidentImages,
+    parseEye,
+    isInFieldOfView,
+    imageSource,
+    imageOrientation,
+    objectOrientation,
+    isMirrorReversed,
+    isImageVisible,
+    isImageReachable,
+    invisibleReason,
+    isVisibleFrom,
+    visibilityRegion,
+    imageCountMap,
+    countImagesFrom,
+    unreachableReason,
+    segmentBlocker,
+    computeHitPoints,
+    pathIntensity,
+    reflectivityOf,
+    chainReflectivity,
+    angularSize,
+    perspectiveScale,
+    edgeRadius,
+    opaqueSegments,
+    isLens,
+    isTwoSided,
+    isBeamsplitter,
+    backFace,
+    isCurvedMirror,
+    arcGeometry,
+    imageInMirror,
+    imageInLens,
+    surfaceNormalAt,
+    reflectionAngles,
+    intersectMirror,
+    intersectSightLine,
+    distanceToMirror,
+    traceRay,
+    refractDirection,
+    reflectDirection,
+    findRefractedPath,
+    searchRefractedPath,
+    bendThroughGlass,
+    keepsReflectionLaw,
+    findApparentPosition,
+    isPointInPolygon,
+    viewFromEye,
+    isDirectlyVisible,
+    bearingFrom,
+    traceSourceRays,
+    traceForwardRay,
+    findNextSurface,
+    bendThroughLens,
+    buildReflectionChain,
+    createVirtualImage,
+    unfoldReflection,
+    applyAffine,
+    lineIntersection,
+    distance,
+    normalizeVector,
+    dotProduct
+  };
+}
@@ -14,9 +14,32 @@ const MIRROR_THICKNESS = 4;
 const REFLECTIVE_THICKNESS = 6;  
 const NON_REFLECTIVE_THICKNESS = 3;  
 const MIRROR_WIDTH = 4; 
+const WALL_THICKNESS = 8;
 const EYE_SIZE = 40;
+const VIEW_CONE_LENGTH = 160;   // How far an eye's field-of-view cone is drawn
+const EYE_HANDLE_DISTANCE = 34; // Distance from an eye's center to its rotation handle
+const UNFOLD_STEP = 0.04;         // How far the unfolded view opens or closes each frame
+const ROOM_ALPHA = 0.25;          // Opacity of the reflected rooms when fully unfolded
+const PATH_HOVER_DISTANCE = 6;    // How close the mouse must be to a path to highlight it
+const REGION_CELL_SIZE = 16;      // Size of the cells the visibility region is sampled in
+const HEATMAP_CELL_SIZE = 25;     // Size of the cells the heatmap samples eye positions in
+const HEATMAP_FRAME_TIME = 12;    // Milliseconds of each frame the heatmap survey may use
+const NORMAL_LENGTH = 60;         // Length of the surface normals drawn at hit points
+const ANGLE_TOLERANCE = REFLECTION_LAW_TOLERANCE; // Degrees by which incidence and reflection may differ before being flagged
+const CONSTRUCTION_STEP = 0.02;   // How far a construction stage advances each frame while playing
+const AXIS_EXTENSION = 2000;      // How far a mirror's axis is extended each way during construction
+const EYE_VIEW_TICK_DEGREES = 30; // Spacing of the bearing ticks on the eye view strip
+const EYE_COLORS = ['#1e88e5', '#e53935', '#43a047', '#8e24aa', '#fb8c00']; // Extra eyes without a color of their own
 const MAX_REFLECTIONS = 10; // Maximum number of reflections to prevent infinite loops
-const MIN_REFLECTION_SIZE_RATIO = 0.05; // Minimum size ratio to original ball (10%)
+const MIN_REFLECTION_INTENSITY = 0.05; // Images dimmer than this fraction of the ball are not shown
+
+// Solver settings passed to the optics engine (see ENGINE_DEFAULTS in optics-engine.js)
+const ENGINE_OPTIONS = {
+  maxDepth: MAX_REFLECTIONS,
+  minIntensity: MIN_REFLECTION_INTENSITY,
+  baseRadius: BALL_RADIUS,
+  eyeRadius: EYE_SIZE / 2
+};
 
 let REFLECTION_COLORS = [];
 
@@ -24,15 +47,79 @@ let ball;
 let mirrors = []; 
 let eye;
 let eyePosition = {x: 0, y: 0};
+let observers = [];         // Extra eyes (x, y, label, color), each with its own set of images
+let observerViews = [];     // What each extra eye sees: { eye, images, rays } from the engine
 let reflections = [];
+let glassBlocks = [];       // Refracting glass polygons (points, refractiveIndex)
+let reflectionRays = [];    // Ball-to-eye polylines from the engine, bent through glass
+let refractedImages = [];   // Where the ball appears when seen straight through glass
+let walls = [];             // Opaque, non-reflective segments (x1, y1, x2, y2)
+let sourceObjects = [];     // Source objects besides the ball (id, x, y, radius, shape, color, letter, rotation)
+let obstacles = [];         // Opaque, non-reflective polygons (points)
 
 let showRayPaths = false; 
 let currentRayIndex = -1;  // Currently displayed ray (-1 = none)
 
+// "Trace from source" mode: photons fanned out of the ball and followed forward
+let showSourceRays = false;
+let sourceRays = [];
+let sourceRaySettings = { count: 36, startAngle: 0, endAngle: 360 };
+
+// Perspective mode: images are drawn smaller the further they are from the eye
+let perspectiveMode = false;
+
+// Eye view: a strip showing what the main eye sees, by bearing
+let showEyeView = false;
+let eyeView = [];           // Entries from viewFromEye, far to near
+
+// Unfolded view: mirrors opened out into a row of reflected rooms
+let showUnfolded = false;
+let unfoldAmount = 0;       // 0 = folded, 1 = fully unfolded; eases towards showUnfolded
+
+// All paths: every visible image's ray at once, filtered by order and mirror
+let showAllPaths = false;
+let hiddenOrders = new Set();   // Reflection orders unticked in the path filters
+let hiddenMirrors = new Set();  // Indices into mirrors of source mirrors unticked in the path filters
+
+// Ghost images: candidates the engine formed but the eye cannot see, and why
+let showGhosts = false;
+let rejectedImages = [];    // Candidate images from the engine, each with a rejection
+
+// Visibility region: where the eye could stand and still see the selected image
+let showVisibilityRegion = false;
+let visibilityCells = [];       // Cells from visibilityRegion
+let regionRayIndex = null;      // Selection the cells were computed for
+let regionStale = true;         // Set whenever the scene changes; redone once dragging stops
+
+// Heatmap: how many images the eye would see from each spot
+let showHeatmap = false;
+let heatmapCells = [];          // Cells from imageCountMap
+let heatmapOrder;               // Reflection order counted, or undefined for all
+let heatmapStale = true;        // Set whenever the scene changes; redone once dragging stops
+let heatmapSurvey = null;       // Survey under way: { scene, order, points, next, cells }
+
+// Reflection inspector: every image as a tree following parentReflection
+let showInspector = false;
+let inspectedRayIndex = null;   // Selection the inspector last highlighted
+
+// Construction player: builds the selected image one mirror at a time
+let showConstruction = false;
+let constructionPlaying = false;
+let constructionStep = 0;       // Index of the stage being drawn
+let constructionProgress = 0;   // How far through that stage, 0 to 1
+let constructionRayIndex = -1;  // Ray the player is constructing; selecting another starts over
+
 let isDragging = false; 
 let draggedObject = null; 
 let draggedMirrorPoint = null; 
 let draggedMirrorIndex = null;
+let draggedGlassIndex = null;
+let draggedWallPoint = null;
+let draggedWallIndex = null;
+let draggedObstacleIndex = null;
+let draggedSourceObjectIndex = null;
+let draggedObserverIndex = null;
+let draggedEyeHandle = null;    // Eye whose viewing direction is being turned
 
 
 let debugMode = false;
@@ -78,6 +165,182 @@ window.onload = function() {
     };
   }
   
+  const traceBtn = document.getElementById('traceFromSource');
+  if (traceBtn) {
+    traceBtn.onclick = function() {
+      showSourceRays = !showSourceRays;
+      this.textContent = showSourceRays ? "Hide Source Rays" : "Trace from Source";
+      
+      const traceControls = document.getElementById('traceControls');
+      if (traceControls) traceControls.style.display = showSourceRays ? 'flex' : 'none';
+      
+      calculateReflections();
+    };
+  }
+  
+  const perspectiveBtn = document.getElementById('togglePerspective');
+  if (perspectiveBtn) {
+    perspectiveBtn.onclick = function() {
+      perspectiveMode = !perspectiveMode;
+      this.textContent = perspectiveMode ? "True Size" : "Perspective";
+      calculateReflections();
+    };
+  }
+  
+  const eyeViewBtn = document.getElementById('toggleEyeView');
+  if (eyeViewBtn) {
+    eyeViewBtn.onclick = function() {
+      showEyeView = !showEyeView;
+      this.textContent = showEyeView ? "Hide Eye View" : "Eye View";
+      
+      const eyeViewPanel = document.getElementById('eyeViewPanel');
+      if (eyeViewPanel) eyeViewPanel.style.display = showEyeView ? 'flex' : 'none';
+      
+      calculateReflections();
+    };
+  }
+  
+  const unfoldBtn = document.getElementById('toggleUnfold');
+  if (unfoldBtn) {
+    unfoldBtn.onclick = function() {
+      showUnfolded = !showUnfolded;
+      this.textContent = showUnfolded ? "Fold" : "Unfold";
+    };
+  }
+  
+  const allPathsBtn = document.getElementById('toggleAllPaths');
+  if (allPathsBtn) {
+    allPathsBtn.onclick = function() {
+      showAllPaths = !showAllPaths;
+      this.textContent = showAllPaths ? "Hide All Paths" : "All Paths";
+      
+      const pathFilters = document.getElementById('pathFilters');
+      if (pathFilters) pathFilters.style.display = showAllPaths ? 'flex' : 'none';
+      
+      updatePathFilters();
+    };
+  }
+  
+  const ghostsBtn = document.getElementById('toggleGhosts');
+  if (ghostsBtn) {
+    ghostsBtn.onclick = function() {
+      showGhosts = !showGhosts;
+      this.textContent = showGhosts ? "Hide Ghost Images" : "Ghost Images";
+    };
+  }
+  
+  const regionBtn = document.getElementById('toggleRegion');
+  if (regionBtn) {
+    regionBtn.onclick = function() {
+      showVisibilityRegion = !showVisibilityRegion;
+      this.textContent = showVisibilityRegion ? "Hide Visibility Region" : "Visibility Region";
+      
+      // The region belongs to the selected ray, so make sure there is one
+      if (showVisibilityRegion && !showRayPaths) {
+        showRayPaths = true;
+        const toggleBtn = document.getElementById('togglePaths');
+        if (toggleBtn) toggleBtn.textContent = "Hide Rays";
+      }
+      if (showVisibilityRegion && currentRayIndex === -1 && reflections.length > 0) {
+        currentRayIndex = 0;
+      }
+      
+      updateVisibilityRegion();
+    };
+  }
+  
+  const heatmapBtn = document.getElementById('toggleHeatmap');
+  if (heatmapBtn) {
+    heatmapBtn.onclick = function() {
+      showHeatmap = !showHeatmap;
+      this.textContent = showHeatmap ? "Hide Heatmap" : "Heatmap";
+      
+      const heatmapControls = document.getElementById('heatmapControls');
+      if (heatmapControls) heatmapControls.style.display = showHeatmap ? 'flex' : 'none';
+    };
+  }
+  
+  const heatmapOrderSelect = document.getElementById('heatmapOrder');
+  if (heatmapOrderSelect) {
+    heatmapOrderSelect.onchange = function() {
+      heatmapOrder = this.value === '' ? undefined : parseInt(this.value);
+      heatmapStale = true;
+    };
+  }
+  
+  const inspectorBtn = document.getElementById('toggleInspector');
+  if (inspectorBtn) {
+    inspectorBtn.onclick = function() {
+      showInspector = !showInspector;
+      this.textContent = showInspector ? "Hide Inspector" : "Inspector";
+      
+      const inspector = document.getElementById('reflectionInspector');
+      if (inspector) inspector.style.display = showInspector ? 'block' : 'none';
+      
+      updateInspector();
+    };
+  }
+  
+  const constructBtn = document.getElementById('toggleConstruct');
+  if (constructBtn) {
+    constructBtn.onclick = function() {
+      showConstruction = !showConstruction;
+      this.textContent = showConstruction ? "Hide Construction" : "Construct";
+      
+      const constructControls = document.getElementById('constructControls');
+      if (constructControls) constructControls.style.display = showConstruction ? 'flex' : 'none';
+      
+      // Construction works on the selected ray, so make sure there is one
+      if (showConstruction && !showRayPaths) {
+        showRayPaths = true;
+        const toggleBtn = document.getElementById('togglePaths');
+        if (toggleBtn) toggleBtn.textContent = "Hide Rays";
+      }
+      if (showConstruction && currentRayIndex === -1 && reflections.length > 0) {
+        currentRayIndex = 0;
+      }
+      
+      restartConstruction();
+    };
+  }
+  
+  const constructPlayBtn = document.getElementById('constructPlay');
+  if (constructPlayBtn) {
+    constructPlayBtn.onclick = function() {
+      // Playing from the end starts again
+      if (!constructionPlaying && isConstructionComplete()) restartConstruction();
+      constructionPlaying = !constructionPlaying;
+    };
+  }
+  
+  const constructStepBtn = document.getElementById('constructStep');
+  if (constructStepBtn) {
+    constructStepBtn.onclick = function() {
+      stepConstruction();
+    };
+  }
+  
+  const constructRestartBtn = document.getElementById('constructRestart');
+  if (constructRestartBtn) {
+    constructRestartBtn.onclick = function() {
+      restartConstruction();
+    };
+  }
+  
+  // Re-trace whenever the ray count or angle range changes
+  for (let [inputId, setting] of [['traceRayCount', 'count'], ['traceStartAngle', 'startAngle'], ['traceEndAngle', 'endAngle']]) {
+    const input = document.getElementById(inputId);
+    if (!input) continue;
+    
+    input.oninput = function() {
+      const value = parseFloat(this.value);
+      if (isNaN(value)) return;
+      
+      sourceRaySettings[setting] = setting === 'count' ? constrain(Math.round(value), 1, 720) : value;
+      calculateReflections();
+    };
+  }
+  
   const addMirrorBtn = document.getElementById('addMirror');
   if (addMirrorBtn) {
     addMirrorBtn.onclick = function() {
@@ -109,16 +372,77 @@ function exportArrangement() {
     },
     eye: {
       x: eyePosition.x,
-      y: eyePosition.y
+      y: eyePosition.y,
+      ...(eyePosition.label !== 'A' && { label: eyePosition.label }),
+      ...(eyePosition.color !== undefined && { color: eyePosition.color }),
+      ...(eyePosition.fieldOfView !== undefined && {
+        direction: eyePosition.direction,
+        fieldOfView: eyePosition.fieldOfView
+      })
     },
     mirrors: mirrors.map(mirror => ({
+      id: mirror.id,
       x1: mirror.x1,
       y1: mirror.y1,
       x2: mirror.x2,
       y2: mirror.y2,
       normal: mirror.normal,
-      width: mirror.width
-    }))
+      width: mirror.width,
+      // Curved mirrors also carry their radius of curvature
+      ...(isCurvedMirror(mirror) && {
+        shape: mirror.shape,
+        radius: mirror.radius,
+        curvature: mirror.curvature
+      }),
+      // Lenses carry their focal length (negative for diverging lenses)
+      ...(isLens(mirror) && {
+        type: mirror.type,
+        focalLength: mirror.focalLength
+      }),
+      // Single-sided is the default, so only the other mirror types are written out
+      ...(isTwoSided(mirror) && { type: mirror.type }),
+      ...(mirror.reflectivity !== undefined && { reflectivity: mirror.reflectivity })
+    })),
+    // Glass, walls and obstacles are only written out when the scene has some,
+    // keeping mirror-only files unchanged
+    ...(glassBlocks.length > 0 && {
+      glass: glassBlocks.map(block => ({
+        points: block.points.map(point => ({ x: point.x, y: point.y })),
+        refractiveIndex: block.refractiveIndex
+      }))
+    }),
+    ...(walls.length > 0 && {
+      walls: walls.map(wall => ({ x1: wall.x1, y1: wall.y1, x2: wall.x2, y2: wall.y2 }))
+    }),
+    ...(obstacles.length > 0 && {
+      obstacles: obstacles.map(obstacle => ({
+        points: obstacle.points.map(point => ({ x: point.x, y: point.y }))
+      }))
+    }),
+    ...(observers.length > 0 && {
+      eyes: observers.map(observer => ({
+        x: observer.x,
+        y: observer.y,
+        label: observer.label,
+        ...(observer.color !== undefined && { color: observer.color }),
+        ...(observer.fieldOfView !== undefined && {
+          direction: observer.direction,
+          fieldOfView: observer.fieldOfView
+        })
+      }))
+    }),
+    ...(sourceObjects.length > 0 && {
+      objects: sourceObjects.map(object => ({
+        id: object.id,
+        x: object.x,
+        y: object.y,
+        radius: object.radius,
+        shape: object.shape,
+        ...(object.color !== undefined && { color: object.color }),
+        ...(object.letter !== undefined && { letter: object.letter }),
+        ...(object.rotation !== 0 && { rotation: object.rotation })
+      }))
+    })
   };
   
   const jsonString = JSON.stringify(arrangement, null, 2);
@@ -144,47 +468,30 @@ function exportArrangement() {
 // Import a saved game arrangement from a JSON object
 function importArrangement(arrangement) {
   try {
-    ball = {
-      x: arrangement.ball.x,
-      y: arrangement.ball.y,
-      radius: arrangement.ball.radius || BALL_RADIUS
-    };
-    
-    eyePosition = {
-      x: arrangement.eye.x,
-      y: arrangement.eye.y
-    };
+    // Parse the geometry with the engine so the game and headless tools agree on the format
+    const scene = sceneFromArrangement(arrangement, ENGINE_OPTIONS);
+    ball = scene.ball;
+    eyePosition = scene.eye;
+    observers = scene.eyes;
     
     mirrors = [];
-    for (let mirrorData of arrangement.mirrors) {
-      const { x1, y1, x2, y2, normal, width } = mirrorData;
-      const mirrorWidth = width || MIRROR_WIDTH;
-      
-      // Calculate the sides of the mirror
-      const halfWidth = mirrorWidth / 2;
-      
-      // Blue side coordinates -- remember blue side is the refelctive side
-      const blueX1 = x1 + normal.x * halfWidth;
-      const blueY1 = y1 + normal.y * halfWidth;
-      const blueX2 = x2 + normal.x * halfWidth;
-      const blueY2 = y2 + normal.y * halfWidth;
-      
-      // Black side coordinates -- black is opaque side
-      const blackX1 = x1 - normal.x * halfWidth;
-      const blackY1 = y1 - normal.y * halfWidth;
-      const blackX2 = x2 - normal.x * halfWidth;
-      const blackY2 = y2 - normal.y * halfWidth;
-      
-      mirrors.push({
-        x1, y1, x2, y2,
-        blueX1, blueY1, blueX2, blueY2,
-        blackX1, blackY1, blackX2, blackY2,
+    for (let mirrorData of scene.mirrors) {
+      const mirror = {
+        ...mirrorData,
         thickness: MIRROR_THICKNESS,
-        normal: normal,
-        width: mirrorWidth
-      });
+        width: mirrorData.width || MIRROR_WIDTH
+      };
+      
+      // Blue side is the reflective side, black the opaque one
+      updateMirrorSides(mirror);
+      mirrors.push(mirror);
     }
     
+    glassBlocks = scene.glass;
+    walls = scene.walls;
+    obstacles = scene.obstacles;
+    sourceObjects = scene.objects;
+    
     reflections = [];
     showRayPaths = false;
     currentRayIndex = -1;
@@ -194,7 +501,8 @@ function importArrangement(arrangement) {
     
     calculateReflections();
     
-    console.log("Imported arrangement with", mirrors.length, "mirrors");
+    console.log("Imported arrangement with", mirrors.length, "mirrors,", glassBlocks.length, "glass blocks,",
+                walls.length, "walls,", obstacles.length, "obstacles and", sourceObjects.length, "extra objects");
     return true;
   } catch (error) {
     console.error("Error importing arrangement:", error);
@@ -203,154 +511,1601 @@ function importArrangement(arrangement) {
 }
 
 /**
- * p5.js setup function - runs once at startup
- * Creates canvas, initializes colors, and sets up initial game state
+ * p5.js setup function - runs once at startup
+ * Creates canvas, initializes colors, and sets up initial game state
+ */
+function setup() {
+  // The canvas shares its container with the eye view strip beside it
+  const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
+  const gameContainer = document.querySelector('.game-container');
+  if (gameContainer) canvas.parent(gameContainer);
+  
+  REFLECTION_COLORS = [
+    null, // 0-index (unused)
+    color(50, 200, 100),    // 1st order - Green
+    color(180, 100, 255),   // 2nd order - Purple
+    color(255, 150, 50),    // 3rd order - Orange
+    color(0, 200, 200),     // 4th order - Teal
+    color(255, 100, 255),   // 5th order - Pink
+    color(100, 150, 255),   // 6th order - Light Blue
+    color(255, 200, 0),     // 7th order - Gold
+    color(150, 75, 0),      // 8th order - Brown
+    color(255, 0, 100),     // 9th order - Hot Pink
+    color(0, 255, 150),     // 10th order - Mint
+    color(150, 0, 255),     // 11th order - Deep Purple
+    color(255, 100, 0),     // 12th order - Bright Orange
+    color(0, 150, 100),     // 13th order - Sea Green
+    color(255, 0, 255),     // 14th order - Magenta
+    color(100, 200, 255)    // 15th order - Sky Blue
+  ];
+  
+  eye = loadImage('eye.svg');
+  
+  eyePosition = {
+    x: width / 2,
+    y: height - 30,
+    label: 'A'
+  };
+  
+  initializeGame();
+  calculateReflections();
+}
+
+// DRAWING
+
+/**
+ * p5.js draw function - runs every frame
+ * Handles rendering of all game elements
+ */
+function draw() {
+  background(240);
+  
+  if (showHeatmap) {
+    // Surveying the whole canvas is too slow to repeat on every frame of a drag
+    if ((heatmapStale || heatmapSurvey) && !isDragging) updateHeatmap();
+    drawHeatmap();
+  }
+  
+  if (showVisibilityRegion) {
+    // Like the heatmap, the region takes a scene solve per cell, so wait for drags to finish
+    if ((regionStale || currentRayIndex !== regionRayIndex) && !isDragging) updateVisibilityRegion();
+    drawVisibilityRegion();
+  }
+  
+  // Ease the unfolded view open or shut
+  unfoldAmount = constrain(unfoldAmount + (showUnfolded ? UNFOLD_STEP : -UNFOLD_STEP), 0, 1);
+  if (unfoldAmount > 0) {
+    drawUnfoldedRooms();
+  }
+  
+  drawGlass();
+  drawObstacles();
+  drawMirrors();
+  
+  // Check if we need to run puzzle-specific drawing logic (without direct puzzle imports)
+  let skipRayPaths = false;
+
+  if (window.drawPuzzleOverlay) {
+    const result = window.drawPuzzleOverlay();
+    // In detective mode, we always want to allow ray paths if the user enables them
+    const inDetectiveMode = typeof isDetectiveMode !== 'undefined' && isDetectiveMode;
+    skipRayPaths = result && result.skipRayPaths && !inDetectiveMode;
+  }
+  
+  // Forward-traced photons go underneath everything else
+  if (showSourceRays) {
+    drawSourceRays();
+  }
+  
+  // Draw ray paths if enabled and not skipped by puzzle
+  if (showRayPaths && !skipRayPaths) {
+    // The finished path waits until the construction player has built it
+    if (!showConstruction || isConstructionComplete()) {
+      drawRayPaths();
+    }
+    drawObserverRays();
+  }
+  
+  if (showAllPaths && !skipRayPaths) {
+    drawAllRayPaths();
+  }
+  
+  if (showConstruction && showRayPaths && !skipRayPaths) {
+    drawConstruction();
+  }
+  
+  if (showGhosts) {
+    drawGhostImages();
+  }
+  
+  drawReflections();
+  drawRefractedImages();
+  drawBall();
+  drawSourceObjects();
+  drawEye();
+  
+  // Keep the inspector's highlight on the selected ray, however it was selected
+  if (showInspector && currentRayIndex !== inspectedRayIndex) {
+    updateInspector();
+  }
+  
+  if (unfoldAmount > 0) {
+    drawUnfoldedPaths();
+  }
+  
+  if (showEyeView) {
+    drawEyeView();
+  }
+  
+  if (showGhosts) {
+    drawGhostTooltip();
+  }
+  
+  // Add this at the very end of the draw function, after ALL other drawing
+  if (typeof window.drawDetectiveOverlay === 'function') {
+    window.drawDetectiveOverlay();
+  }
+}
+
+function initializeGame() {
+  console.log("Initializing game with random positions");
+
+  ball = {
+    id: BALL_ID,
+    x: random(BALL_RADIUS, width - BALL_RADIUS),
+    y: random(BALL_RADIUS, height * 0.7),  // Keep ball in upper 70% of screen
+    radius: BALL_RADIUS
+  };
+  console.log("Ball created at:", ball.x, ball.y);
+  
+  mirrors = [];
+  glassBlocks = [];
+  walls = [];
+  obstacles = [];
+  sourceObjects = [];
+  observers = [];
+  reflections = [];
+  console.log("Game initialization complete");
+}
+
+// RENDERING 
+
+/**
+ * Draw all mirrors in the scene
+ * Renders both reflective (blue) and non-reflective (black) sides.
+ * Double-sided mirrors are blue on both sides; beamsplitters are pale and
+ * see-through on both sides with a dashed center line.
+ */
+function drawMirrors() {
+  for (let mirror of mirrors) {
+    if (isLens(mirror)) {
+      drawLens(mirror);
+      continue;
+    }
+    
+    if (isCurvedMirror(mirror)) {
+      drawCurvedMirror(mirror);
+      continue;
+    }
+    
+    if (isBeamsplitter(mirror)) {
+      // Half-silvered: both faces partly reflective, light passes through the middle
+      stroke(100, 200, 255, 120);
+      strokeWeight(NON_REFLECTIVE_THICKNESS);
+      line(mirror.blueX1, mirror.blueY1, mirror.blueX2, mirror.blueY2);
+      line(mirror.blackX1, mirror.blackY1, mirror.blackX2, mirror.blackY2);
+      drawDashedLine(mirror.x1, mirror.y1, mirror.x2, mirror.y2, color(60, 130, 200), 6, 4);
+      continue;
+    }
+    
+    // Draw black non-reflective side (blue as well on double-sided mirrors)
+    if (isTwoSided(mirror)) {
+      stroke(100, 200, 255);
+      strokeWeight(REFLECTIVE_THICKNESS);
+    } else {
+      stroke(0);
+      strokeWeight(NON_REFLECTIVE_THICKNESS);
+    }
+    line(
+      mirror.blackX1,
+      mirror.blackY1,
+      mirror.blackX2,
+      mirror.blackY2
+    );
+    
+    // Draw light blue reflective side
+    stroke(100, 200, 255);
+    strokeWeight(REFLECTIVE_THICKNESS);
+    line(
+      mirror.blueX1,
+      mirror.blueY1,
+      mirror.blueX2,
+      mirror.blueY2
+    );
+  }
+}
+
+/**
+ * Draw walls and obstacles
+ * Both are opaque and non-reflective, so they are drawn in solid dark grey
+ */
+function drawObstacles() {
+  fill(90);
+  stroke(60);
+  strokeWeight(2);
+  for (let obstacle of obstacles) {
+    beginShape();
+    for (let point of obstacle.points) {
+      vertex(point.x, point.y);
+    }
+    endShape(CLOSE);
+  }
+  
+  stroke(60);
+  strokeWeight(WALL_THICKNESS);
+  for (let wall of walls) {
+    line(wall.x1, wall.y1, wall.x2, wall.y2);
+  }
+}
+
+/**
+ * Draw a curved (arc) mirror
+ * The blue reflective side sits on the inside of the arc for concave mirrors
+ * and on the outside for convex ones. The focal point is marked with an F.
+ * 
+ * @param {Object} mirror - Arc mirror to draw
+ */
+function drawCurvedMirror(mirror) {
+  const arcInfo = arcGeometry(mirror);
+  const halfWidth = mirror.width / 2;
+  const blueOffset = mirror.curvature === 'convex' ? halfWidth : -halfWidth;
+  const endAngle = arcInfo.startAngle + arcInfo.span;
+  
+  noFill();
+  
+  // Draw black non-reflective side (blue on double-sided mirrors, pale on beamsplitters)
+  if (isBeamsplitter(mirror)) {
+    stroke(100, 200, 255, 120);
+    strokeWeight(NON_REFLECTIVE_THICKNESS);
+  } else if (isTwoSided(mirror)) {
+    stroke(100, 200, 255);
+    strokeWeight(REFLECTIVE_THICKNESS);
+  } else {
+    stroke(0);
+    strokeWeight(NON_REFLECTIVE_THICKNESS);
+  }
+  const blackDiameter = (arcInfo.radius - blueOffset) * 2;
+  arc(arcInfo.center.x, arcInfo.center.y, blackDiameter, blackDiameter, arcInfo.startAngle, endAngle);
+  
+  // Draw light blue reflective side
+  if (isBeamsplitter(mirror)) {
+    stroke(100, 200, 255, 120);
+    strokeWeight(NON_REFLECTIVE_THICKNESS);
+  } else {
+    stroke(100, 200, 255);
+    strokeWeight(REFLECTIVE_THICKNESS);
+  }
+  const blueDiameter = (arcInfo.radius + blueOffset) * 2;
+  arc(arcInfo.center.x, arcInfo.center.y, blueDiameter, blueDiameter, arcInfo.startAngle, endAngle);
+  
+  // Mark the focal point on the optical axis (behind the mirror for convex mirrors)
+  const focusX = arcInfo.vertex.x + mirror.normal.x * arcInfo.focalLength;
+  const focusY = arcInfo.vertex.y + mirror.normal.y * arcInfo.focalLength;
+  fill(120);
+  noStroke();
+  ellipse(focusX, focusY, 6, 6);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("F", focusX + 4, focusY - 2);
+}
+
+/**
+ * Draw all glass blocks as translucent polygons labelled with their refractive index
+ */
+function drawGlass() {
+  for (let block of glassBlocks) {
+    fill(170, 220, 230, 90);
+    stroke(90, 150, 170);
+    strokeWeight(2);
+    beginShape();
+    for (let point of block.points) {
+      vertex(point.x, point.y);
+    }
+    endShape(CLOSE);
+    
+    // Label the block at its vertex average
+    const centerX = block.points.reduce((sum, point) => sum + point.x, 0) / block.points.length;
+    const centerY = block.points.reduce((sum, point) => sum + point.y, 0) / block.points.length;
+    fill(60, 110, 130);
+    noStroke();
+    textAlign(CENTER, CENTER);
+    textSize(12);
+    text("n = " + block.refractiveIndex, centerX, centerY);
+  }
+}
+
+/**
+ * Draw a thin lens with the usual schematic symbol
+ * Arrowheads point outward on a converging lens and inward on a diverging one.
+ * Both focal points are marked with an F.
+ * 
+ * @param {Object} lens - Lens to draw
+ */
+function drawLens(lens) {
+  const length = dist(lens.x1, lens.y1, lens.x2, lens.y2);
+  const direction = { x: (lens.x2 - lens.x1) / length, y: (lens.y2 - lens.y1) / length };
+  const headSize = 10;
+  
+  stroke(80, 80, 160);
+  strokeWeight(3);
+  line(lens.x1, lens.y1, lens.x2, lens.y2);
+  
+  // Arrowheads at both ends
+  const converging = lens.focalLength > 0;
+  for (let end of [{ x: lens.x1, y: lens.y1, sign: -1 }, { x: lens.x2, y: lens.y2, sign: 1 }]) {
+    // Point along the lens, away from the center when converging and toward it when diverging
+    const along = converging ? end.sign : -end.sign;
+    const backX = end.x - direction.x * along * headSize;
+    const backY = end.y - direction.y * along * headSize;
+    line(end.x, end.y, backX + lens.normal.x * headSize * 0.6, backY + lens.normal.y * headSize * 0.6);
+    line(end.x, end.y, backX - lens.normal.x * headSize * 0.6, backY - lens.normal.y * headSize * 0.6);
+  }
+  
+  // Mark the focal points on either side of the lens
+  const centerX = (lens.x1 + lens.x2) / 2;
+  const centerY = (lens.y1 + lens.y2) / 2;
+  const focalDistance = Math.abs(lens.focalLength);
+  fill(120);
+  noStroke();
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  for (let side of [-1, 1]) {
+    const focusX = centerX + side * lens.normal.x * focalDistance;
+    const focusY = centerY + side * lens.normal.y * focalDistance;
+    ellipse(focusX, focusY, 6, 6);
+    text("F", focusX + 4, focusY - 2);
+  }
+}
+
+function drawBall() {
+  fill(50, 100, 255);
+  noStroke();
+  ellipse(ball.x, ball.y, ball.radius * 2);
+}
+
+/**
+ * Draw the source objects other than the ball, each in its own shape and color
+ */
+function drawSourceObjects() {
+  noStroke();
+  for (let object of sourceObjects) {
+    drawObjectShape(object, object.x, object.y, object.radius, objectOrientation(object), 255);
+  }
+}
+
+/**
+ * Draw a source object's shape, or an image of it
+ * The orientation (see imageOrientation in optics-engine.js) turns and flips the
+ * outline, so arrows and triangles point the way the image does and letters read
+ * backwards in a single mirror. Stroke settings are left to the caller.
+ * 
+ * @param {Object} object - The source object (shape, color, letter)
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @param {number} radius - Radius of the circle the shape fills
+ * @param {Object|null} orientation - { a, b, c, d } matrix, or null to draw it as is
+ * @param {number} alpha - Opacity from 0 to 255
+ */
+function drawObjectShape(object, x, y, radius, orientation, alpha) {
+  const objectColor = color(object.color || 'rgb(50, 100, 255)');
+  fill(red(objectColor), green(objectColor), blue(objectColor), alpha);
+  
+  push();
+  translate(x, y);
+  if (orientation) {
+    applyMatrix(orientation.a, orientation.b, orientation.c, orientation.d, 0, 0);
+  }
+  
+  switch (object.shape) {
+    case 'square':
+      rectMode(CENTER);
+      rect(0, 0, radius * 1.6, radius * 1.6);
+      break;
+    case 'triangle':
+      triangle(0, -radius, radius * 0.87, radius * 0.5, -radius * 0.87, radius * 0.5);
+      break;
+    case 'arrow':
+      // Points up with its head bent to the right, so both turns and flips show
+      beginShape();
+      vertex(-radius * 0.25, radius);
+      vertex(-radius * 0.25, -radius * 0.2);
+      vertex(-radius * 0.7, -radius * 0.2);
+      vertex(0, -radius);
+      vertex(radius * 0.9, -radius * 0.2);
+      vertex(radius * 0.25, -radius * 0.2);
+      vertex(radius * 0.25, radius);
+      endShape(CLOSE);
+      break;
+    case 'letter':
+      ellipse(0, 0, radius * 2);
+      fill(255, alpha);
+      noStroke();
+      textAlign(CENTER, CENTER);
+      textSize(radius * 1.3);
+      text(object.letter || 'F', 0, 0);
+      break;
+    default:
+      ellipse(0, 0, radius * 2);
+  }
+  pop();
+}
+
+/**
+ * The source object a reflection is an image of: the ball or one of sourceObjects
+ * 
+ * @param {Object} reflection - The reflection
+ * @returns {Object} Source object (x, y, radius)
+ */
+function reflectionSource(reflection) {
+  return imageSource(reflection, currentScene());
+}
+
+/**
+ * Draw all visible reflections
+ * Renders colored balls representing reflections (and lens images) based on their order.
+ * Images of the other source objects keep their object's shape and color instead.
+ * Real images, where light actually converges, get a dark outline to set them apart
+ * from virtual ones. Opacity follows the image's intensity, the share of the source's
+ * light left after every reflection and beamsplitter along its path.
+ */
+function drawReflections() {
+  noStroke();
+  
+  for (let reflection of reflections) {
+    // Special case: in path identification mode, all reflections should be visible
+    const inPathIdMode = typeof isPathIdentificationMode !== 'undefined' && isPathIdentificationMode;
+    
+    // Check if this reflection is visible from current eye position or we're in path ID mode
+    if (inPathIdMode || isReflectionVisible(reflection)) {
+      // Get color based on reflection depth, default to the last color if beyond our defined colors
+      const colorIndex = Math.min(reflection.depth, REFLECTION_COLORS.length - 1);
+      const reflectionColor = REFLECTION_COLORS[colorIndex];
+      const intensity = reflection.intensity === undefined ? 1 : reflection.intensity;
+      fill(red(reflectionColor), green(reflectionColor), blue(reflectionColor), 255 * intensity);
+      
+      if (reflection.real) {
+        stroke(40);
+        strokeWeight(3);
+      } else {
+        noStroke();
+      }
+      
+      const source = reflectionSource(reflection);
+      if (source !== ball) {
+        drawObjectShape(source, reflection.x, reflection.y, reflection.drawRadius, reflection.orientation, 255 * intensity);
+        continue;
+      }
+      
+      ellipse(reflection.x, reflection.y, reflection.drawRadius * 2);
+    }
+  }
+  
+  // Images the extra eyes see get a ring in each eye's color; ones the main
+  // eye cannot see show up as rings alone
+  noFill();
+  strokeWeight(2);
+  for (let i = 0; i < observerViews.length; i++) {
+    stroke(observerColor(i));
+    for (let image of observerViews[i].images) {
+      ellipse(image.x, image.y, image.drawRadius * 2 + 6 + 5 * i);
+    }
+  }
+}
+
+/**
+ * Draw where the ball appears when seen directly through glass
+ * With rays shown, the bent path to the eye and its straight-line extension
+ * back to the apparent position are drawn as well
+ */
+function drawRefractedImages() {
+  for (let image of refractedImages) {
+    if (showRayPaths) {
+      stroke(50, 100, 255, 160);
+      strokeWeight(2);
+      noFill();
+      for (let i = 0; i < image.path.length - 1; i++) {
+        line(image.path[i].x, image.path[i].y, image.path[i + 1].x, image.path[i + 1].y);
+      }
+      
+      // The eye assumes light travelled straight, so it traces back to the apparent ball
+      const lastBend = image.path[image.path.length - 2];
+      drawDashedLine(lastBend.x, lastBend.y, image.x, image.y, color(50, 100, 255, 160), 5, 5);
+    }
+    
+    fill(50, 100, 255, 110);
+    noStroke();
+    ellipse(image.x, image.y, image.radius * 2);
+  }
+}
+
+/**
+ * Draw the photons traced forward from the ball
+ * Rays that miss the eye are drawn faintly; rays that enter it are highlighted
+ * in the color of the reflection order they belong to, since each of them is
+ * what the eye sees as one of the images.
+ */
+function drawSourceRays() {
+  noFill();
+  
+  // Faint rays first so the highlighted ones sit on top
+  stroke(255, 180, 0, 70);
+  strokeWeight(1);
+  for (let ray of sourceRays) {
+    if (ray.reachesEye) continue;
+    for (let i = 0; i < ray.points.length - 1; i++) {
+      line(ray.points[i].x, ray.points[i].y, ray.points[i + 1].x, ray.points[i + 1].y);
+    }
+  }
+  
+  strokeWeight(2);
+  for (let ray of sourceRays) {
+    if (!ray.reachesEye) continue;
+    
+    // Rays straight from a source take its color; opacity follows the light left
+    const colorIndex = Math.min(ray.bounces, REFLECTION_COLORS.length - 1);
+    const sourceColor = ray.object && ray.object.color ? color(ray.object.color) : color(50, 100, 255);
+    const rayColor = ray.bounces === 0 ? sourceColor : REFLECTION_COLORS[colorIndex];
+    stroke(red(rayColor), green(rayColor), blue(rayColor), 255 * ray.intensity);
+    for (let i = 0; i < ray.points.length - 1; i++) {
+      line(ray.points[i].x, ray.points[i].y, ray.points[i + 1].x, ray.points[i + 1].y);
+    }
+  }
+  
+  const reachingEye = sourceRays.filter(ray => ray.reachesEye).length;
+  fill(0);
+  noStroke();
+  textAlign(LEFT, BOTTOM);
+  textSize(14);
+  const fromText = sourceObjects.length > 0 ? " rays from the objects" : " rays from the ball";
+  text(reachingEye + " of " + sourceRays.length + fromText + " reach the eye", 20, height - 20);
+}
+
+function drawEye() {
+  drawViewCone(eyePosition, eyePosition.color || 'rgb(40, 40, 40)');
+  for (let i = 0; i < observers.length; i++) {
+    drawViewCone(observers[i], observerColor(i));
+  }
+  
+  const eyeX = eyePosition.x - EYE_SIZE / 2;
+  const eyeY = eyePosition.y - EYE_SIZE / 2;
+  image(eye, eyeX, eyeY, EYE_SIZE, EYE_SIZE);
+  
+  // With several eyes, each one is labelled in its own color
+  if (observers.length === 0) return;
+  
+  drawEyeLabel(eyePosition, eyePosition.color || 'rgb(40, 40, 40)');
+  for (let i = 0; i < observers.length; i++) {
+    const observer = observers[i];
+    image(eye, observer.x - EYE_SIZE / 2, observer.y - EYE_SIZE / 2, EYE_SIZE, EYE_SIZE);
+    drawEyeLabel(observer, observerColor(i));
+  }
+}
+
+/**
+ * Draw an eye's field of view as a pale wedge, with a handle for turning it
+ * Eyes that see all the way round have no cone and no handle.
+ * 
+ * @param {Object} observer - The eye (x, y, direction, fieldOfView)
+ * @param {string} coneColor - CSS color for the wedge and handle
+ */
+function drawViewCone(observer, coneColor) {
+  if (observer.fieldOfView === undefined || observer.fieldOfView >= 360) return;
+  
+  const facing = radians(observer.direction);
+  const halfAngle = radians(observer.fieldOfView) / 2;
+  const wedgeColor = color(coneColor);
+  
+  fill(red(wedgeColor), green(wedgeColor), blue(wedgeColor), 35);
+  stroke(red(wedgeColor), green(wedgeColor), blue(wedgeColor), 90);
+  strokeWeight(1);
+  arc(observer.x, observer.y, VIEW_CONE_LENGTH * 2, VIEW_CONE_LENGTH * 2, facing - halfAngle, facing + halfAngle, PIE);
+  
+  const handle = eyeHandlePosition(observer);
+  fill(wedgeColor);
+  noStroke();
+  ellipse(handle.x, handle.y, 10, 10);
+}
+
+/**
+ * Where an eye's rotation handle sits: just in front of it, along its direction
+ * 
+ * @param {Object} observer - The eye (x, y, direction)
+ * @returns {Object} Handle position (x, y)
+ */
+function eyeHandlePosition(observer) {
+  const facing = radians(observer.direction);
+  return {
+    x: observer.x + Math.cos(facing) * EYE_HANDLE_DISTANCE,
+    y: observer.y + Math.sin(facing) * EYE_HANDLE_DISTANCE
+  };
+}
+
+/**
+ * Draw what the main eye sees on the strip beside the canvas, like a panoramic photo
+ * The strip covers the eye's field of view, or all the way round when it has none,
+ * with the viewing direction in the middle and the eye's left at the top (on the
+ * left if the strip is laid out wider than it is tall). Each
+ * thing seen is a disc at its bearing, as wide as the angle it subtends: the ball
+ * and objects seen directly in their own colors, images in their order's color
+ * and as bright as the light that reaches the eye.
+ */
+function drawEyeView() {
+  const strip = document.getElementById('eyeViewStrip');
+  if (!strip) return;
+  
+  // Draw along the strip's long side; a standing strip is a lying one turned a
+  // quarter turn clockwise, so its left end is at the top
+  const ctx = strip.getContext('2d');
+  const standing = strip.height > strip.width;
+  const stripWidth = standing ? strip.height : strip.width;
+  const stripHeight = standing ? strip.width : strip.height;
+  ctx.setTransform(...(standing ? [0, 1, -1, 0, strip.width, 0] : [1, 0, 0, 1, 0, 0]));
+  const facing = eyePosition.direction === undefined ? DEFAULT_EYE_DIRECTION : eyePosition.direction;
+  const span = eyePosition.fieldOfView === undefined ? 360 : Math.min(eyePosition.fieldOfView, 360);
+  const degreesToPixels = stripWidth / span;
+  
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = 'rgb(30, 30, 40)';
+  ctx.fillRect(0, 0, stripWidth, stripHeight);
+  
+  // Bearing ticks, with the viewing direction marked in the middle
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  ctx.lineWidth = 1;
+  for (let offset = -Math.floor(span / 2 / EYE_VIEW_TICK_DEGREES) * EYE_VIEW_TICK_DEGREES; offset <= span / 2; offset += EYE_VIEW_TICK_DEGREES) {
+    const tickX = stripWidth / 2 + offset * degreesToPixels;
+    ctx.beginPath();
+    ctx.moveTo(tickX, offset === 0 ? 0 : stripHeight * 0.8);
+    ctx.lineTo(tickX, stripHeight);
+    ctx.stroke();
+  }
+  
+  for (let entry of eyeView) {
+    // Bearing relative to the viewing direction, in [-180, 180); negative is to the eye's left
+    const offset = ((entry.bearing - facing) % 360 + 540) % 360 - 180;
+    const diameter = Math.max(degrees(entry.angularSize) * degreesToPixels, 2);
+    const entryColor = eyeViewColor(entry);
+    
+    ctx.globalAlpha = entry.intensity;
+    ctx.fillStyle = `rgb(${red(entryColor)}, ${green(entryColor)}, ${blue(entryColor)})`;
+    
+    // Discs straddling the back of an all-round strip show up at both ends
+    const centerX = stripWidth / 2 + offset * degreesToPixels;
+    for (let x of [centerX - stripWidth, centerX, centerX + stripWidth]) {
+      if (x + diameter / 2 < 0 || x - diameter / 2 > stripWidth) continue;
+      ctx.beginPath();
+      ctx.arc(x, stripHeight / 2, diameter / 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.globalAlpha = 1;
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+}
+
+/**
+ * Color of something on the eye view strip
+ * 
+ * @param {Object} entry - Entry from viewFromEye (depth, object)
+ * @returns {Object} p5 color
+ */
+function eyeViewColor(entry) {
+  if (entry.depth > 0) {
+    return REFLECTION_COLORS[Math.min(entry.depth, REFLECTION_COLORS.length - 1)];
+  }
+  return color(entry.object.color || 'rgb(50, 100, 255)');
+}
+
+/**
+ * The points a reflection's light passes through, from its source to the eye
+ * 
+ * @param {Object} reflection - The reflection (with hit points)
+ * @returns {Array} Points (x,y) of the path
+ */
+function rayPathPoints(reflection) {
+  // The engine's ray already runs ball -> hit points -> eye, bending wherever it crosses glass
+  const ray = reflectionRays.find(candidate => candidate.image === reflection);
+  if (ray) return ray.points;
+  
+  // Otherwise straight lines from the source through the hit points -- "billiard balls"
+  return [reflectionSource(reflection), ...reflection.hitPoints, eyePosition];
+}
+
+/**
+ * Check whether a reflection's path keeps the law of reflection at every bounce
+ * Only glass can bend a path off it (see keepsReflectionLaw in optics-engine.js)
+ * 
+ * @param {Object} reflection - The reflection
+ * @returns {boolean} False if the drawn path is only approximate
+ */
+function isPathLawful(reflection) {
+  const ray = reflectionRays.find(candidate => candidate.image === reflection);
+  return !ray || ray.lawful;
+}
+
+/**
+ * Draw the ray path of every visible image at once, as filtered by the path checkboxes
+ * Hovering over a path or its image highlights it and fades the rest.
+ */
+function drawAllRayPaths() {
+  const shown = reflections.filter(reflection =>
+    reflection.hitPoints.length > 0 && isReflectionVisible(reflection) && isPathShown(reflection));
+  const hovered = hoveredPath(shown);
+  
+  noFill();
+  for (let reflection of shown) {
+    const pathColor = REFLECTION_COLORS[Math.min(reflection.depth, REFLECTION_COLORS.length - 1)];
+    const faded = hovered && reflection !== hovered;
+    stroke(red(pathColor), green(pathColor), blue(pathColor), faded ? 40 : 200);
+    strokeWeight(reflection === hovered ? 3 : 1.5);
+    
+    const pathPoints = rayPathPoints(reflection);
+    drawingContext.setLineDash(isPathLawful(reflection) ? [] : [8, 5]);
+    for (let i = 0; i < pathPoints.length - 1; i++) {
+      line(pathPoints[i].x, pathPoints[i].y, pathPoints[i + 1].x, pathPoints[i + 1].y);
+    }
+  }
+  drawingContext.setLineDash([]);
+  
+  if (hovered) {
+    const mirrorNumbers = buildReflectionChain(hovered).map(link => mirrors.indexOf(link.sourceMirror) + 1);
+    fill(0);
+    noStroke();
+    textAlign(LEFT, BOTTOM);
+    textSize(14);
+    text(`${orderName(hovered.depth)} order via mirror${mirrorNumbers.length > 1 ? 's' : ''} ${mirrorNumbers.join(', ')}`,
+         mouseX + 12, mouseY - 6);
+  }
+}
+
+/**
+ * Check whether the path filters let a reflection's path through
+ * 
+ * @param {Object} reflection - The reflection (depth, sourceMirror)
+ * @returns {boolean} True if both its order and its source mirror are ticked
+ */
+function isPathShown(reflection) {
+  return !hiddenOrders.has(reflection.depth) && !hiddenMirrors.has(mirrors.indexOf(reflection.sourceMirror));
+}
+
+/**
+ * Find the path under the mouse: one whose image the mouse is over, or failing
+ * that one whose line passes close by. Later paths are drawn on top, so they win.
+ * 
+ * @param {Array} shown - Reflections whose paths are drawn
+ * @returns {Object|null} The hovered reflection, if any
+ */
+function hoveredPath(shown) {
+  for (let i = shown.length - 1; i >= 0; i--) {
+    if (dist(mouseX, mouseY, shown[i].x, shown[i].y) < shown[i].drawRadius) return shown[i];
+  }
+  
+  for (let i = shown.length - 1; i >= 0; i--) {
+    const pathPoints = rayPathPoints(shown[i]);
+    for (let j = 0; j < pathPoints.length - 1; j++) {
+      if (isPointNearLineSegment(mouseX, mouseY, pathPoints[j].x, pathPoints[j].y,
+                                 pathPoints[j + 1].x, pathPoints[j + 1].y, PATH_HOVER_DISTANCE)) {
+        return shown[i];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Rebuild the path filter checkboxes: one per reflection order present and one per mirror
+ * The checkboxes are only rebuilt when the orders or mirror count change, so ticks
+ * survive dragging.
+ */
+function updatePathFilters() {
+  const pathFilters = document.getElementById('pathFilters');
+  if (!pathFilters || !showAllPaths) return;
+  
+  const maxOrder = reflections.reduce((deepest, reflection) => Math.max(deepest, reflection.depth), 0);
+  const layout = `${maxOrder}/${mirrors.length}`;
+  if (pathFilters.dataset.layout === layout) return;
+  pathFilters.dataset.layout = layout;
+  pathFilters.innerHTML = '';
+  
+  const addCheckbox = (labelText, hidden, value) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !hidden.has(value);
+    checkbox.onchange = function() {
+      if (this.checked) hidden.delete(value);
+      else hidden.add(value);
+    };
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + labelText));
+    pathFilters.appendChild(label);
+  };
+  
+  for (let order = 1; order <= maxOrder; order++) {
+    addCheckbox(orderName(order), hiddenOrders, order);
+  }
+  for (let i = 0; i < mirrors.length; i++) {
+    addCheckbox(`Mirror ${i + 1}`, hiddenMirrors, i);
+  }
+}
+
+/**
+ * Survey how many images the eye would see from each spot on the canvas
+ * The survey runs HEATMAP_FRAME_TIME at a time so the canvas keeps responding, and
+ * the old cells stay up until the new ones are all counted. A change to the scene
+ * starts it again.
+ */
+function updateHeatmap() {
+  if (heatmapStale) {
+    heatmapStale = false;
+    heatmapSurvey = { scene: currentScene(), order: heatmapOrder, points: heatmapGrid(), next: 0, cells: [] };
+  }
+  
+  const survey = heatmapSurvey;
+  const started = millis();
+  while (survey.next < survey.points.length && millis() - started < HEATMAP_FRAME_TIME) {
+    const cell = survey.points[survey.next++];
+    const count = countImagesFrom(survey.scene, { x: cell.x + cell.size / 2, y: cell.y + cell.size / 2 }, survey.order);
+    if (count !== null) survey.cells.push({ ...cell, count });
+  }
+  
+  if (survey.next === survey.points.length) {
+    heatmapCells = survey.cells;
+    heatmapSurvey = null;
+  }
+}
+
+/**
+ * The cells the heatmap is sampled in, covering the canvas
+ * 
+ * @returns {Array} Cells { x, y, size } (top-left corner)
+ */
+function heatmapGrid() {
+  const cells = [];
+  for (let y = 0; y < height; y += HEATMAP_CELL_SIZE) {
+    for (let x = 0; x < width; x += HEATMAP_CELL_SIZE) {
+      cells.push({ x, y, size: HEATMAP_CELL_SIZE });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Shade the canvas by how many images the eye would see from each spot
+ * Cells run from clear (none) to deep red (the most anywhere on the canvas),
+ * each labelled with its count.
+ */
+function drawHeatmap() {
+  const mostImages = heatmapCells.reduce((most, cell) => Math.max(most, cell.count), 0);
+  if (mostImages === 0) return;
+  
+  textAlign(CENTER, CENTER);
+  textSize(10);
+  for (let cell of heatmapCells) {
+    if (cell.count === 0) continue;
+    
+    const heat = cell.count / mostImages;
+    fill(255, 220 * (1 - heat), 60 * (1 - heat), 40 + 110 * heat);
+    noStroke();
+    rect(cell.x, cell.y, cell.size, cell.size);
+    
+    fill(0, 120);
+    text(cell.count, cell.x + cell.size / 2, cell.y + cell.size / 2);
+  }
+}
+
+/**
+ * Work out where the eye could stand and still see the selected image
+ */
+function updateVisibilityRegion() {
+  regionRayIndex = currentRayIndex;
+  regionStale = false;
+  const image = selectedImage();
+  visibilityCells = showVisibilityRegion && image ? visibilityRegion(image, currentScene(), REGION_CELL_SIZE) : [];
+}
+
+/**
+ * Shade the selected image's visibility region in the color of its order
+ */
+function drawVisibilityRegion() {
+  const image = selectedImage();
+  if (!image) return;
+  
+  const regionColor = REFLECTION_COLORS[Math.min(image.depth, REFLECTION_COLORS.length - 1)];
+  fill(red(regionColor), green(regionColor), blue(regionColor), 45);
+  noStroke();
+  for (let cell of visibilityCells) {
+    rect(cell.x, cell.y, cell.size, cell.size);
+  }
+}
+
+/**
+ * Draw the images the eye cannot see as faint dashed outlines
+ */
+function drawGhostImages() {
+  noFill();
+  strokeWeight(1.5);
+  drawingContext.setLineDash([4, 4]);
+  for (let ghost of rejectedImages) {
+    const ghostColor = REFLECTION_COLORS[Math.min(ghost.depth, REFLECTION_COLORS.length - 1)];
+    stroke(red(ghostColor), green(ghostColor), blue(ghostColor), 90);
+    ellipse(ghost.x, ghost.y, ghost.drawRadius * 2);
+  }
+  drawingContext.setLineDash([]);
+}
+
+/**
+ * Explain the ghost image under the mouse, if any, and outline whatever blocks it
+ */
+function drawGhostTooltip() {
+  const ghost = rejectedImages.find(candidate => dist(mouseX, mouseY, candidate.x, candidate.y) < candidate.drawRadius);
+  if (!ghost) return;
+  
+  const { blocker } = ghost.rejection;
+  if (blocker) {
+    stroke(255, 0, 0);
+    strokeWeight(4);
+    line(blocker.x1, blocker.y1, blocker.x2, blocker.y2);
+  }
+  
+  const label = `${orderName(ghost.depth)} order image not seen: ${describeRejection(ghost.rejection)}`;
+  textSize(14);
+  const boxWidth = textWidth(label) + 12;
+  const boxX = Math.min(mouseX + 12, width - boxWidth);
+  
+  fill(255, 255, 255, 230);
+  stroke(150);
+  strokeWeight(1);
+  rect(boxX, mouseY - 30, boxWidth, 22, 4);
+  
+  fill(0);
+  noStroke();
+  textAlign(LEFT, CENTER);
+  text(label, boxX + 6, mouseY - 19);
+}
+
+/**
+ * Describe why the engine rejected an image
+ * 
+ * @param {Object} rejection - { reason, mirror, blocker } from the engine
+ * @returns {string} The reason in words
+ */
+function describeRejection(rejection) {
+  const mirrorName = `${isLens(rejection.mirror) ? 'lens' : 'mirror'} ${mirrors.indexOf(rejection.mirror) + 1}`;
+  
+  switch (rejection.reason) {
+    case 'off-canvas':
+      return "it lies off the canvas";
+    case 'misses-mirror':
+      return `the sight line toward it misses ${mirrorName}`;
+    case 'wrong-side':
+      return isLens(rejection.mirror)
+        ? `the eye is on the same side of ${mirrorName} as the object`
+        : `the eye sees the back of ${mirrorName}`;
+    case 'in-front-of-mirror':
+      return `it lies in front of ${mirrorName} instead of behind it`;
+    case 'sight-blocked':
+      return `${blockerName(rejection.blocker)} blocks the eye's view of ${mirrorName}`;
+    case 'source-blocked':
+      return `${blockerName(rejection.blocker)} blocks the light from the object to ${mirrorName}`;
+    case 'out-of-view':
+      return "it is outside the eye's field of view";
+    case 'too-dim':
+      return "too little light is left after its reflections";
+    case 'no-path':
+      return "there is no unbroken light path through its mirrors";
+    default:
+      return rejection.reason;
+  }
+}
+
+/**
+ * Name whatever blocks a ray: a mirror by number, a wall, or an obstacle's side
+ * 
+ * @param {Object} blocker - Mirror or opaque segment
+ * @returns {string} Its name
+ */
+function blockerName(blocker) {
+  const mirrorIndex = mirrors.indexOf(blocker);
+  if (mirrorIndex >= 0) return `${isLens(blocker) ? 'lens' : 'mirror'} ${mirrorIndex + 1}`;
+  return walls.includes(blocker) ? "a wall" : "an obstacle";
+}
+
+/**
+ * Rebuild the reflection inspector: every computed image as a tree that follows parentReflection
+ * The visible images are the reflections; the ones the eye cannot see are the engine's
+ * rejected candidates, listed with the reason they are not seen. Each image sits under
+ * the image it was reflected from, seen or not, and first-order images sit under their
+ * source. Clicking a visible image selects its ray on the canvas.
+ */
+function updateInspector() {
+  const inspector = document.getElementById('reflectionInspector');
+  if (!inspector || !showInspector) return;
+  
+  inspectedRayIndex = currentRayIndex;
+  inspector.innerHTML = '';
+  
+  const heading = document.createElement('h3');
+  heading.textContent = `Reflections (${reflections.length} visible, ${rejectedImages.length} not visible)`;
+  inspector.appendChild(heading);
+  
+  // One node per image; rayIndex is its index into reflections, or null if it is not seen.
+  // Chains merged into a visible image share its node, so their children hang from it too.
+  const nodes = [
+    ...reflections.map((image, rayIndex) => ({ image, rayIndex })),
+    ...rejectedImages.map(image => ({ image, rayIndex: null }))
+  ];
+  const nodeOf = new Map();
+  for (let node of nodes) {
+    for (let chain of [node.image, ...node.image.coincidentImages]) nodeOf.set(chain, node);
+  }
+  
+  // Children of each node, keyed by the node (or source) they hang from
+  const children = new Map();
+  for (let node of nodes) {
+    const parent = nodeOf.get(node.image.parentReflection) || reflectionSource(node.image);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(node);
+  }
+  
+  const addNodes = (parent, level) => {
+    for (let node of children.get(parent) || []) {
+      inspector.appendChild(inspectorNode(node, level));
+      addNodes(node, level + 1);
+    }
+  };
+  
+  for (let source of [ball, ...sourceObjects]) {
+    if (!children.has(source)) continue;
+    
+    const sourceRow = document.createElement('div');
+    sourceRow.className = 'inspector-source';
+    sourceRow.textContent = `${source.id} (${Math.round(source.x)}, ${Math.round(source.y)})`;
+    inspector.appendChild(sourceRow);
+    addNodes(source, 1);
+  }
+}
+
+/**
+ * Build the inspector row for one image
+ * 
+ * @param {Object} node - { image, rayIndex }: rayIndex is the image's index into
+ *   reflections, or null for an image the eye cannot see
+ * @param {number} level - How deep the row sits in the tree
+ * @returns {Object} The row's DOM element
+ */
+function inspectorNode(node, level) {
+  const { image, rayIndex } = node;
+  const visible = rayIndex !== null;
+  // Images formed by several mirror chains list every one
+  const chainIds = [image, ...image.coincidentImages].map(chain => chain.id).join(' = ');
+  const hitPointList = image.hitPoints
+    .map(hitPoint => `(${Math.round(hitPoint.x)}, ${Math.round(hitPoint.y)})`)
+    .join(' ');
+  
+  const row = document.createElement('div');
+  row.className = 'inspector-node' + (visible && rayIndex === currentRayIndex ? ' selected' : '') + (visible ? '' : ' hidden-image');
+  row.style.paddingLeft = `${level * 14}px`;
+  row.style.borderLeftColor = REFLECTION_COLORS[Math.min(image.depth, REFLECTION_COLORS.length - 1)].toString();
+  row.textContent = `${orderName(image.depth)} ${chainIds} at (${Math.round(image.x)}, ${Math.round(image.y)})` +
+                    ` hits ${hitPointList || 'none'}, ` +
+                    (visible ? 'visible' : `not visible: ${describeRejection(image.rejection)}`);
+  
+  // Only visible images have a ray to select
+  if (!visible) return row;
+  
+  row.onclick = function() {
+    currentRayIndex = rayIndex;
+    if (!showRayPaths) {
+      showRayPaths = true;
+      const toggleBtn = document.getElementById('togglePaths');
+      if (toggleBtn) toggleBtn.textContent = "Hide Rays";
+    }
+    updateInspector();
+  };
+  
+  return row;
+}
+
+/**
+ * Name a reflection order: 1st, 2nd, 3rd, 4th, ...
+ * 
+ * @param {number} depth - Reflection order
+ * @returns {string} Ordinal name
+ */
+function orderName(depth) {
+  if (depth === 1) return "1st";
+  if (depth === 2) return "2nd";
+  if (depth === 3) return "3rd";
+  return depth + "th";
+}
+
+/**
+ * Draw the surface normal at each of a reflection's hit points, with the angles of
+ * incidence and reflection marked and labelled in degrees
+ * The angles are measured along the drawn path, so a mismatch beyond ANGLE_TOLERANCE
+ * (which the law of reflection forbids) is flagged in red. Lenses refract instead of
+ * reflecting, so their hit points are skipped.
+ * 
+ * @param {Object} reflection - The reflection whose path is shown
+ * @param {Object} pathColor - Color of the path
+ */
+function drawReflectionAngles(reflection, pathColor) {
+  const hitPoints = calculateRayHitPoints(buildReflectionChain(reflection));
+  if (!hitPoints) return;
+  
+  const pathPoints = rayPathPoints(reflection);
+  for (let hitPoint of hitPoints) {
+    if (isLens(hitPoint.mirror)) continue;
+    
+    // The path's points either side of the bounce (glass may add bends in between)
+    const index = pathPoints.findIndex(point => dist(point.x, point.y, hitPoint.x, hitPoint.y) < 0.5);
+    if (index <= 0 || index >= pathPoints.length - 1) continue;
+    
+    const angles = reflectionAngles(pathPoints[index - 1], hitPoint, pathPoints[index + 1],
+                                    surfaceNormalAt(hitPoint.mirror, hitPoint));
+    const mismatch = Math.abs(angles.incidence - angles.reflection) > ANGLE_TOLERANCE;
+    
+    const normalAngle = Math.atan2(angles.normal.y, angles.normal.x);
+    const incomingAngle = Math.atan2(pathPoints[index - 1].y - hitPoint.y, pathPoints[index - 1].x - hitPoint.x);
+    const outgoingAngle = Math.atan2(pathPoints[index + 1].y - hitPoint.y, pathPoints[index + 1].x - hitPoint.x);
+    
+    drawDashedLine(hitPoint.x, hitPoint.y,
+                   hitPoint.x + angles.normal.x * NORMAL_LENGTH, hitPoint.y + angles.normal.y * NORMAL_LENGTH,
+                   color(120), 4, 4);
+    
+    const labelColor = mismatch ? color(220, 0, 0) : pathColor;
+    drawAngleMark(hitPoint, normalAngle, incomingAngle, 26, labelColor, `θi ${angles.incidence.toFixed(1)}°`);
+    drawAngleMark(hitPoint, normalAngle, outgoingAngle, 34, labelColor, `θr ${angles.reflection.toFixed(1)}°`);
+    
+    if (mismatch) {
+      fill(220, 0, 0);
+      noStroke();
+      textAlign(CENTER, TOP);
+      textSize(12);
+      text(`off by ${Math.abs(angles.incidence - angles.reflection).toFixed(1)}°`, hitPoint.x, hitPoint.y + 8);
+    }
+  }
+}
+
+/**
+ * Mark the angle between two directions at a point with an arc and a label
+ * 
+ * @param {Object} center - Vertex of the angle (x,y)
+ * @param {number} fromAngle - One side's direction in radians
+ * @param {number} toAngle - The other side's direction in radians
+ * @param {number} radius - Radius of the arc
+ * @param {Object} markColor - Color of the arc and label
+ * @param {string} label - Text placed just beyond the middle of the arc
+ */
+function drawAngleMark(center, fromAngle, toAngle, radius, markColor, label) {
+  // Go round the short way
+  let sweep = toAngle - fromAngle;
+  sweep = Math.atan2(Math.sin(sweep), Math.cos(sweep));
+  const start = sweep < 0 ? fromAngle + sweep : fromAngle;
+  
+  noFill();
+  stroke(markColor);
+  strokeWeight(1.5);
+  arc(center.x, center.y, radius * 2, radius * 2, start, start + Math.abs(sweep));
+  
+  const middle = fromAngle + sweep / 2;
+  fill(markColor);
+  noStroke();
+  textAlign(CENTER, CENTER);
+  textSize(11);
+  text(label, center.x + Math.cos(middle) * (radius + 22), center.y + Math.sin(middle) * (radius + 22));
+}
+
+/**
+ * Images the unfolded view opens out: the selected ray's image, or every image
+ * 
+ * @returns {Array} Images to unfold
+ */
+function unfoldedImages() {
+  if (showRayPaths && currentRayIndex >= 0 && reflections[currentRayIndex]) {
+    return [reflections[currentRayIndex]];
+  }
+  return reflections;
+}
+
+/**
+ * Draw the reflected rooms of the unfolded view, faded, underneath the real one
+ * Each room is the scene redrawn through its map from openRooms, so that toggling
+ * swings the rooms out from (or back into) their mirrors one after another. Rooms
+ * shared by several images' chains are drawn once.
+ */
+function drawUnfoldedRooms() {
+  const drawn = new Set();
+  const images = unfoldedImages();
+  const folds = unfoldFoldCount(images);
+  
+  for (let image of images) {
+    const unfolding = unfoldReflection(image, eyePosition);
+    if (!unfolding) continue;
+    
+    const opened = openRooms(image, unfoldAmount, folds);
+    unfolding.rooms.forEach((room, index) => {
+      // Rooms are matched by where they end up, so shared ones open identically
+      const key = [room.a, room.b, room.c, room.d, room.e, room.f].map(value => value.toFixed(3)).join(',');
+      if (drawn.has(key)) return;
+      drawn.add(key);
+      
+      const map = opened[index];
+      push();
+      drawingContext.globalAlpha = ROOM_ALPHA * unfoldAmount;
+      applyMatrix(map.a, map.b, map.c, map.d, map.e, map.f);
+      drawGlass();
+      drawObstacles();
+      drawMirrors();
+      drawBall();
+      drawSourceObjects();
+      pop();
+    });
+  }
+}
+
+/**
+ * Draw each unfolded image's light path, straightening as the rooms open out
+ * Fully unfolded, every path is the straight line from the eye to its image.
+ * Chains through curved mirrors or lenses do not unfold and are noted instead.
+ */
+function drawUnfoldedPaths() {
+  let foldsLeft = 0;
+  noFill();
+  strokeWeight(2);
+  
+  const images = unfoldedImages();
+  const folds = unfoldFoldCount(images);
+  for (let image of images) {
+    const unfolding = unfoldReflection(image, eyePosition);
+    if (!unfolding) {
+      foldsLeft++;
+      continue;
+    }
+    
+    // Each point moves with the room unfoldReflection puts it in
+    const opened = openRooms(image, unfoldAmount, folds);
+    const pathColor = REFLECTION_COLORS[Math.min(image.depth, REFLECTION_COLORS.length - 1)];
+    stroke(red(pathColor), green(pathColor), blue(pathColor), 255 * unfoldAmount);
+    beginShape();
+    unfolding.folded.forEach((point, i) => {
+      const room = opened[image.depth - i - 1];
+      const moved = room ? applyAffine(room, point) : point;
+      vertex(moved.x, moved.y);
+    });
+    endShape();
+  }
+  
+  if (foldsLeft > 0) {
+    fill(0, 255 * unfoldAmount);
+    noStroke();
+    textAlign(LEFT, BOTTOM);
+    textSize(14);
+    text(`${foldsLeft} image${foldsLeft === 1 ? '' : 's'} through curved mirrors or lenses cannot be unfolded`, 20, height - 10);
+  }
+}
+
+/**
+ * Number of folds the unfolding animation is shared between: one per mirror of the
+ * longest chain, so rooms shared by several chains open in step
+ * 
+ * @param {Array} images - Images being unfolded
+ * @returns {number} Fold count, at least 1
+ */
+function unfoldFoldCount(images) {
+  return Math.max(1, ...images.map(image => image.depth));
+}
+
+/**
+ * The rooms of an image's unfolding, part way open
+ * The rooms swing out one after another from the eye's end of the chain, each
+ * folding over the copy of its mirror in the room before, the way a page turns
+ * about its spine: seen from above, the distance across the mirror shrinks by the
+ * cosine of the angle turned and then grows again on the far side. Only one fold
+ * moves at a time, so a room only lies flat along its mirror while it is edge-on,
+ * and fully open the maps are unfoldReflection's rooms.
+ * 
+ * @param {Object} image - The image (its chain must unfold, see unfoldReflection)
+ * @param {number} amount - 0 folded shut, 1 fully open
+ * @param {number} folds - Number of folds the opening is shared between (see unfoldFoldCount)
+ * @returns {Array} Maps { a, b, c, d, e, f } in the order of unfoldReflection's rooms
+ */
+function openRooms(image, amount, folds) {
+  const chain = buildReflectionChain(image);
+  const rooms = [];
+  let room = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+  
+  for (let fold = 0; fold < chain.length; fold++) {
+    // Folds before this one have finished, so the room before is a rigid copy
+    const turned = constrain(amount * folds - fold, 0, 1);
+    if (turned > 0) {
+      const mirror = chain[chain.length - 1 - fold].sourceMirror;
+      const start = applyAffine(room, { x: mirror.x1, y: mirror.y1 });
+      const normal = {
+        x: room.a * mirror.normal.x + room.c * mirror.normal.y,
+        y: room.b * mirror.normal.x + room.d * mirror.normal.y
+      };
+      room = composeAffine(foldAcross(start, normal, turned), room);
+    }
+    rooms.push(room);
+  }
+  
+  return rooms;
+}
+
+/**
+ * Fold the plane part way over a line, seen from above
+ * Turning by half a turn (amount 1) is the reflection in the line.
+ * 
+ * @param {Object} point - Any point on the line (x, y)
+ * @param {Object} normal - Unit normal of the line (x, y)
+ * @param {number} amount - Share of the half turn made, 0 to 1
+ * @returns {Object} The map { a, b, c, d, e, f }
+ */
+function foldAcross(point, normal, amount) {
+  // Distances across the line are scaled by cos(PI * amount), so take away this share of them
+  const squeeze = 1 - Math.cos(Math.PI * amount);
+  const offset = squeeze * (normal.x * point.x + normal.y * point.y);
+  return {
+    a: 1 - squeeze * normal.x * normal.x,
+    b: -squeeze * normal.x * normal.y,
+    c: -squeeze * normal.x * normal.y,
+    d: 1 - squeeze * normal.y * normal.y,
+    e: offset * normal.x,
+    f: offset * normal.y
+  };
+}
+
+/**
+ * Compose two affine maps
+ * 
+ * @param {Object} outer - Map applied second { a, b, c, d, e, f }
+ * @param {Object} inner - Map applied first
+ * @returns {Object} The map taking a point through inner, then outer
+ */
+function composeAffine(outer, inner) {
+  return {
+    a: outer.a * inner.a + outer.c * inner.b,
+    b: outer.b * inner.a + outer.d * inner.b,
+    c: outer.a * inner.c + outer.c * inner.d,
+    d: outer.b * inner.c + outer.d * inner.d,
+    e: outer.a * inner.e + outer.c * inner.f + outer.e,
+    f: outer.b * inner.e + outer.d * inner.f + outer.f
+  };
+}
+
+/**
+ * Break the construction of an image into stages, one mirror at a time
+ * For each link of the chain, from the source outwards: extend the mirror's axis,
+ * drop a perpendicular to it from the object (the source, or the image before),
+ * and carry it the same distance out the other side to the image. Plane mirrors
+ * use createVirtualImage; curved mirrors and lenses bend the image elsewhere, so
+ * their last stage goes straight to where the engine placed it.
+ * 
+ * @param {Object} image - The image to construct
+ * @returns {Array} Stages { kind ('axis', 'perpendicular' or 'image'), link, object, foot, target }
+ */
+function constructionStages(image) {
+  const stages = [];
+  
+  for (let link of buildReflectionChain(image)) {
+    const mirror = link.sourceMirror;
+    const object = link.parentReflection || reflectionSource(link);
+    const flat = !isCurvedMirror(mirror) && !isLens(mirror);
+    
+    // The perpendicular meets the mirror's line halfway between the object and its plane-mirror image
+    const planeImage = createVirtualImage(object, mirror);
+    const foot = { x: (object.x + planeImage.x) / 2, y: (object.y + planeImage.y) / 2 };
+    const target = flat ? planeImage : { x: link.x, y: link.y };
+    
+    for (let kind of ['axis', 'perpendicular', 'image']) {
+      stages.push({ kind, link, object, foot, target });
+    }
+  }
+  
+  return stages;
+}
+
+/**
+ * The image the construction player is working on: the selected ray's
+ * 
+ * @returns {Object|null} The selected image, if any
+ */
+function selectedImage() {
+  return currentRayIndex >= 0 ? reflections[currentRayIndex] || null : null;
+}
+
+/**
+ * Check whether the construction player has drawn every stage
+ * 
+ * @returns {boolean} True once the last stage is complete
+ */
+function isConstructionComplete() {
+  const image = selectedImage();
+  if (!image) return true;
+  return constructionStep >= constructionStages(image).length - 1 && constructionProgress >= 1;
+}
+
+/**
+ * Rewind the construction player to the first stage and play it
  */
-function setup() {
-  createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
-  
-  REFLECTION_COLORS = [
-    null, // 0-index (unused)
-    color(50, 200, 100),    // 1st order - Green
-    color(180, 100, 255),   // 2nd order - Purple
-    color(255, 150, 50),    // 3rd order - Orange
-    color(0, 200, 200),     // 4th order - Teal
-    color(255, 100, 255),   // 5th order - Pink
-    color(100, 150, 255),   // 6th order - Light Blue
-    color(255, 200, 0),     // 7th order - Gold
-    color(150, 75, 0),      // 8th order - Brown
-    color(255, 0, 100),     // 9th order - Hot Pink
-    color(0, 255, 150),     // 10th order - Mint
-    color(150, 0, 255),     // 11th order - Deep Purple
-    color(255, 100, 0),     // 12th order - Bright Orange
-    color(0, 150, 100),     // 13th order - Sea Green
-    color(255, 0, 255),     // 14th order - Magenta
-    color(100, 200, 255)    // 15th order - Sky Blue
-  ];
-  
-  eye = loadImage('eye.svg');
-  
-  eyePosition = {
-    x: width / 2,
-    y: height - 30
-  };
-  
-  initializeGame();
-  calculateReflections();
+function restartConstruction() {
+  constructionStep = 0;
+  constructionProgress = 0;
+  constructionPlaying = true;
+  constructionRayIndex = currentRayIndex;
 }
 
-// DRAWING
+/**
+ * Pause the construction player and show the next stage complete
+ */
+function stepConstruction() {
+  const image = selectedImage();
+  if (!image) return;
+  
+  constructionPlaying = false;
+  if (constructionProgress < 1) {
+    constructionProgress = 1;
+  } else if (constructionStep < constructionStages(image).length - 1) {
+    constructionStep++;
+  }
+}
 
 /**
- * p5.js draw function - runs every frame
- * Handles rendering of all game elements
+ * Draw the construction of the selected image up to the current stage
+ * Earlier stages are drawn complete and the current one grows in; while playing,
+ * this also advances the player.
  */
-function draw() {
-  background(240);
-  drawMirrors();
+function drawConstruction() {
+  const image = selectedImage();
+  if (!image) return;
+  
+  if (currentRayIndex !== constructionRayIndex) restartConstruction();
+  
+  const stages = constructionStages(image);
+  if (constructionPlaying) {
+    constructionProgress = Math.min(constructionProgress + CONSTRUCTION_STEP, 1);
+    if (constructionProgress >= 1 && constructionStep < stages.length - 1) {
+      constructionStep++;
+      constructionProgress = 0;
+    } else if (constructionProgress >= 1) {
+      constructionPlaying = false;
+    }
+  }
   
-  // Check if we need to run puzzle-specific drawing logic (without direct puzzle imports)
-  let skipRayPaths = false;
+  for (let i = 0; i <= constructionStep; i++) {
+    drawConstructionStage(stages[i], i < constructionStep ? 1 : constructionProgress);
+  }
+  
+  const stage = stages[constructionStep];
+  fill(0);
+  noStroke();
+  textAlign(LEFT, TOP);
+  textSize(14);
+  text(`Construction step ${constructionStep + 1} of ${stages.length}: ${describeConstructionStage(stage)}`, 20, 44);
+}
 
-  if (window.drawPuzzleOverlay) {
-    const result = window.drawPuzzleOverlay();
-    // In detective mode, we always want to allow ray paths if the user enables them
-    const inDetectiveMode = typeof isDetectiveMode !== 'undefined' && isDetectiveMode;
-    skipRayPaths = result && result.skipRayPaths && !inDetectiveMode;
+/**
+ * Draw one stage of a construction
+ * 
+ * @param {Object} stage - Stage from constructionStages
+ * @param {number} progress - How much of it to draw, 0 to 1
+ */
+function drawConstructionStage(stage, progress) {
+  const { kind, link, object, foot, target } = stage;
+  const mirror = link.sourceMirror;
+  const stageColor = REFLECTION_COLORS[Math.min(link.depth, REFLECTION_COLORS.length - 1)];
+  
+  if (kind === 'axis') {
+    // Grow the dashed axis outwards from both ends of the mirror
+    const along = normalizeVector({ x: mirror.x2 - mirror.x1, y: mirror.y2 - mirror.y1 });
+    const reach = AXIS_EXTENSION * progress;
+    drawDashedLine(mirror.x1, mirror.y1, mirror.x1 - along.x * reach, mirror.y1 - along.y * reach, color(120), 6, 6);
+    drawDashedLine(mirror.x2, mirror.y2, mirror.x2 + along.x * reach, mirror.y2 + along.y * reach, color(120), 6, 6);
+    return;
   }
   
-  // Draw ray paths if enabled and not skipped by puzzle
-  if (showRayPaths && !skipRayPaths) {
-    drawRayPaths();
+  if (kind === 'perpendicular') {
+    stroke(stageColor);
+    strokeWeight(2);
+    line(object.x, object.y, lerp(object.x, foot.x, progress), lerp(object.y, foot.y, progress));
+    
+    // Mark the object being reflected
+    noFill();
+    ellipse(object.x, object.y, object.radius * 2 + 8);
+    return;
   }
   
-  drawReflections();
-  drawBall();
-  drawEye();
+  // Carry the perpendicular on past the mirror to the image
+  const end = { x: lerp(foot.x, target.x, progress), y: lerp(foot.y, target.y, progress) };
+  drawDashedLine(foot.x, foot.y, end.x, end.y, stageColor, 5, 5);
   
-  // Add this at the very end of the draw function, after ALL other drawing
-  if (typeof window.drawDetectiveOverlay === 'function') {
-    window.drawDetectiveOverlay();
+  if (progress >= 1) {
+    noFill();
+    stroke(stageColor);
+    strokeWeight(2);
+    ellipse(target.x, target.y, link.drawRadius * 2);
+    
+    fill(255);
+    noStroke();
+    ellipse(foot.x, foot.y, 8, 8);
   }
 }
 
-function initializeGame() {
-  console.log("Initializing game with random positions");
-
-  ball = {
-    x: random(BALL_RADIUS, width - BALL_RADIUS),
-    y: random(BALL_RADIUS, height * 0.7),  // Keep ball in upper 70% of screen
-    radius: BALL_RADIUS
-  };
-  console.log("Ball created at:", ball.x, ball.y);
-  
-  mirrors = [];
-  reflections = [];
-  console.log("Game initialization complete");
-}
-
-// RENDERING 
-
 /**
- * Draw all mirrors in the scene
- * Renders both reflective (blue) and non-reflective (black) sides
+ * Describe a construction stage in words
+ * 
+ * @param {Object} stage - Stage from constructionStages
+ * @returns {string} What the stage does
  */
-function drawMirrors() {
-  for (let mirror of mirrors) {
-    // Draw black non-reflective side
-    stroke(0);
-    strokeWeight(NON_REFLECTIVE_THICKNESS);
-    line(
-      mirror.blackX1,
-      mirror.blackY1,
-      mirror.blackX2,
-      mirror.blackY2
-    );
-    
-    // Draw light blue reflective side
-    stroke(100, 200, 255);
-    strokeWeight(REFLECTIVE_THICKNESS);
-    line(
-      mirror.blueX1,
-      mirror.blueY1,
-      mirror.blueX2,
-      mirror.blueY2
-    );
+function describeConstructionStage(stage) {
+  const { kind, link } = stage;
+  const mirrorName = `mirror ${mirrors.indexOf(link.sourceMirror) + 1}`;
+  const source = reflectionSource(link);
+  const objectName = link.parentReflection ? `the order ${link.depth - 1} image`
+                   : source === ball ? "the ball" : source.id;
+  
+  if (kind === 'axis') return `extend the line of ${mirrorName}`;
+  if (kind === 'perpendicular') return `drop a perpendicular from ${objectName} to ${mirrorName}`;
+  if (isLens(link.sourceMirror)) {
+    return `${mirrorName} is a lens, so the order ${link.depth} image forms where its focal length puts it`;
+  }
+  if (isCurvedMirror(link.sourceMirror)) {
+    return `${mirrorName} is curved, so the order ${link.depth} image forms where its focal length puts it`;
   }
+  return `carry it as far again beyond ${mirrorName} to the order ${link.depth} image`;
 }
 
-function drawBall() {
-  fill(50, 100, 255);
+/**
+ * Draw an eye's label just above it
+ * 
+ * @param {Object} observer - The eye (x, y, label)
+ * @param {string} labelColor - CSS color for the label
+ */
+function drawEyeLabel(observer, labelColor) {
+  fill(labelColor);
   noStroke();
-  ellipse(ball.x, ball.y, ball.radius * 2);
+  textAlign(CENTER, BOTTOM);
+  textSize(16);
+  text(observer.label, observer.x, observer.y - EYE_SIZE / 2 - 2);
 }
 
 /**
- * Draw all visible reflections
- * Renders colored balls representing virtual reflections based on their order
+ * Color of an extra eye: its own color, or one from EYE_COLORS by position
+ * 
+ * @param {number} index - Index into observers
+ * @returns {string} CSS color
  */
-function drawReflections() {
-  noStroke();
-  
-  for (let reflection of reflections) {
-    // Special case: in path identification mode, all reflections should be visible
-    const inPathIdMode = typeof isPathIdentificationMode !== 'undefined' && isPathIdentificationMode;
-    
-    // Check if this reflection is visible from current eye position or we're in path ID mode
-    if (inPathIdMode || isReflectionVisible(reflection)) {
-      // Get color based on reflection depth, default to the last color if beyond our defined colors
-      const colorIndex = Math.min(reflection.depth, REFLECTION_COLORS.length - 1);
-      fill(REFLECTION_COLORS[colorIndex]);
-      
-      ellipse(reflection.x, reflection.y, reflection.radius * 2);
-    }
-  }
+function observerColor(index) {
+  return observers[index].color || EYE_COLORS[index % EYE_COLORS.length];
 }
 
-function drawEye() {
-  const eyeX = eyePosition.x - EYE_SIZE / 2;
-  const eyeY = eyePosition.y - EYE_SIZE / 2;
-  image(eye, eyeX, eyeY, EYE_SIZE, EYE_SIZE);
+/**
+ * Draw every ray path of every extra eye, in that eye's color
+ * The main eye shows one selected path at a time (see drawRayPaths); the extra
+ * eyes show all of theirs at once, thinner, so the scene stays readable.
+ */
+function drawObserverRays() {
+  noFill();
+  strokeWeight(1.5);
+  for (let i = 0; i < observerViews.length; i++) {
+    const eyeColor = color(observerColor(i));
+    stroke(red(eyeColor), green(eyeColor), blue(eyeColor), 150);
+    for (let ray of observerViews[i].rays) {
+      for (let j = 0; j < ray.points.length - 1; j++) {
+        line(ray.points[j].x, ray.points[j].y, ray.points[j + 1].x, ray.points[j + 1].y);
+      }
+    }
+  }
 }
 
 /**
@@ -470,19 +2225,14 @@ function drawRayPaths() {
   // THIS IS ACTUALLY THE RAY ALGO
 
   // STEP 1: Draw the actual ray path (solid lines)
-  // Draw line from ball to first hit point on mirror
-  line(ball.x, ball.y, currentReflection.hitPoints[0].x, currentReflection.hitPoints[0].y);
-  
-  // Connect all hit points -- "billiard balls"
-  for (let i = 0; i < currentReflection.hitPoints.length - 1; i++) {
-    const current = currentReflection.hitPoints[i];
-    const next = currentReflection.hitPoints[i + 1];
-    line(current.x, current.y, next.x, next.y);
+  // The engine's ray already runs ball -> hit points -> eye, bending wherever it crosses glass.
+  // Paths glass has bent off the law of reflection are only approximate, so they are dashed
+  const pathPoints = rayPathPoints(currentReflection);
+  drawingContext.setLineDash(isPathLawful(currentReflection) ? [] : [10, 6]);
+  for (let i = 0; i < pathPoints.length - 1; i++) {
+    line(pathPoints[i].x, pathPoints[i].y, pathPoints[i + 1].x, pathPoints[i + 1].y);
   }
-  
-  // Draw line from last hit point to eye
-  const lastHitPoint = currentReflection.hitPoints[currentReflection.hitPoints.length - 1];
-  line(lastHitPoint.x, lastHitPoint.y, eyePosition.x, eyePosition.y);
+  drawingContext.setLineDash([]);
   
   // STEP 2: Draw virtual image lines (dashed lines)
   // For each hit point, draw a dashed line to its associated virtual image
@@ -507,6 +2257,9 @@ function drawRayPaths() {
     }
   }
   
+  // STEP 3: Mark the normal and the two angles at every bounce
+  drawReflectionAngles(currentReflection, strokeColor);
+  
   // Draw white dots at all hit points
   fill(255);
   noStroke();
@@ -524,7 +2277,10 @@ function drawRayPaths() {
   if (currentReflection.depth === 3) orderText = "3rd";
   if (currentReflection.depth > 3) orderText = currentReflection.depth + "th";
   
-  text(orderText + " order reflection (" + (currentRayIndex + 1) + " of " + reflections.length + ")", 20, 20);
+  const source = reflectionSource(currentReflection);
+  const ofText = source === ball ? "" : " of " + source.id;
+  text(orderText + " order reflection" + ofText + " (" + (currentRayIndex + 1) + " of " + reflections.length + ")" +
+       describeImage(currentReflection), 20, 20);
   
   // If debug mode is on, draw additional debug info on screen
   if (debugMode && window.displayDebugInfo) {
@@ -589,6 +2345,52 @@ function drawRayPaths() {
   }
 }
 
+/**
+ * Describe how a curved mirror or lens changed an image (real/inverted/magnification),
+ * whether a shaped object's image is the wrong way round, how much of the ball's
+ * light is left, how large the image looks from the eye and whether glass has bent
+ * its path off the law of reflection. Images from plane mirrors are always virtual,
+ * upright and life-size, so they skip the first part
+ * 
+ * @param {Object} reflection - The reflection to describe
+ * @returns {string} Text to append to the ray path label, or an empty string
+ */
+function describeImage(reflection) {
+  const magnification = reflection.magnification === undefined ? 1 : reflection.magnification;
+  const intensity = reflection.intensity === undefined ? 1 : reflection.intensity;
+  const parts = [];
+  
+  if (reflection.real || Math.abs(magnification - 1) >= 0.005) {
+    parts.push(
+      reflection.real ? "real" : "virtual",
+      magnification < 0 ? "inverted" : "upright",
+      Math.abs(magnification).toFixed(2) + "x"
+    );
+  }
+  
+  // Objects with a shape show their handedness: each mirror in the chain flips it
+  const source = reflectionSource(reflection);
+  if (source.shape && source.shape !== 'ball' && reflection.orientation) {
+    parts.push(isMirrorReversed(reflection.orientation) ? "mirror-reversed" : "same handedness");
+  }
+  
+  // Partly reflective mirrors and beamsplitters pass on only part of the light
+  if (intensity < 1) {
+    parts.push(Math.round(intensity * 100) + "% intensity");
+  }
+  
+  // Angle the image subtends at the eye; further images look smaller
+  if (reflection.angularSize !== undefined) {
+    parts.push("subtends " + degrees(reflection.angularSize).toFixed(1) + "°");
+  }
+  
+  if (!isPathLawful(reflection)) {
+    parts.push("approximate path: glass bends it off the law of reflection");
+  }
+  
+  return parts.length > 0 ? " - " + parts.join(", ") : "";
+}
+
 /**
  * Draw the path from eye to target reflection in user path identification mode
  * 
@@ -715,54 +2517,6 @@ function findHitPoint(source, destination, virtualImage, mirror) {
   };
 }
 
-/**
- * Build the complete reflection chain from eye to ball
- * Traces backwards through parent reflections to construct full path
- * 
- * @param {Object} reflection - The reflection to trace back from
- * @returns {Array} Chain of reflections from ball to eye
- */
-function buildReflectionChain(reflection) {
-  const chain = [];
-  let current = reflection;
-  
-  while (current) {
-    chain.push(current);
-    current = current.parentReflection;
-  }
-  
-  // Return the chain in reverse order (ball to eye)
-  return chain.reverse();
-}
-
-/**
- * Create a virtual image of a point reflected in a mirror
- * Calculates the reflection position using the law of reflection
- * 
- * @param {Object} point - The point to reflect (x,y)
- * @param {Object} mirror - The mirror to reflect across
- * @returns {Object} Virtual image position (x,y)
- */
-function createVirtualImage(point, mirror) {
-  // Get the mirror normal
-  const mirrorNormal = mirror.normal;
-  
-  // Calculate the reflection of the point
-  const pointToMirrorVec = {
-    x: point.x - mirror.x1,
-    y: point.y - mirror.y1
-  };
-  
-  // Project the vector onto the normal to get the displacement from the mirror
-  const normalDistance = dotProduct(pointToMirrorVec, mirrorNormal);
-  
-  // Reflect the point across the mirror by moving it twice the distance in the normal direction
-  return {
-    x: point.x - 2 * normalDistance * mirrorNormal.x,
-    y: point.y - 2 * normalDistance * mirrorNormal.y
-  };
-}
-
 /**
  * Draw a dashed line between two points
  * Used for virtual image paths
@@ -820,8 +2574,9 @@ function traceSingleRayPath(reflection) {
     return { physical: [], virtuals: [] };
   }
   
-  // Start with the ball
-  physicalPath.push({ x: ball.x, y: ball.y, type: 'solid' });
+  // Start with the source object (usually the ball)
+  const source = reflectionSource(reflection);
+  physicalPath.push({ x: source.x, y: source.y, type: 'solid' });
   
   // Add all hit points in order (ball to eye)
   for (const hitPoint of reflection.hitPoints) {
@@ -851,16 +2606,16 @@ function traceSingleRayPath(reflection) {
       
       // For the first hit point (nearest to ball)
       if (i === 0) {
-        // Calculate virtual image of ball in this mirror
+        // Calculate virtual image of the source in this mirror
         const ballToMirrorVec = {
-          x: ball.x - mirror.x1,
-          y: ball.y - mirror.y1
+          x: source.x - mirror.x1,
+          y: source.y - mirror.y1
         };
         const dotProduct = dotProduct(ballToMirrorVec, mirror.normal);
         
         const virtualImage = {
-          x: ball.x - 2 * dotProduct * mirror.normal.x,
-          y: ball.y - 2 * dotProduct * mirror.normal.y
+          x: source.x - 2 * dotProduct * mirror.normal.x,
+          y: source.y - 2 * dotProduct * mirror.normal.y
         };
         
         virtualPaths.push([
@@ -951,654 +2706,115 @@ function isPointOnLineSegment(px, py, x1, y1, x2, y2) {
 }
 
 /**
- * Check if a reflection is visible from current eye position
- * Implements ray tracing to determine if a reflection can be seen
- * Accounts for mirror orientation, obstacles, and physical laws
- * 
- * @param {Object} reflection - The reflection to check
- * @returns {boolean} True if the reflection is visible
- */
-function isReflectionVisible(reflection) {
-  // First check if the reflection is within the canvas bounds
-  if (reflection.x - reflection.radius < 0 || 
-      reflection.x + reflection.radius > width ||
-      reflection.y - reflection.radius < 0 || 
-      reflection.y + reflection.radius > height) {
-    // Reflection is outside or partially outside the canvas
-    return false;
-  }
-  
-  // Get the source mirror that created this reflection
-  const mirror = reflection.sourceMirror;
-  const mirrorNormal = mirror.normal;
-  
-  // Get the source object (either the original ball or the parent reflection)
-  const sourceObject = reflection.parentReflection || ball;
-  
-  // PART 1: Check if the eye can see the reflection through the mirror
-  
-  // Create a line from eye to reflection
-  const eye = eyePosition;
-  
-  // Find intersection of eye-to-reflection line with the mirror
-  const eyeToMirrorIntersection = lineIntersection(
-    eye.x, eye.y,
-    reflection.x, reflection.y,
-    mirror.x1, mirror.y1,
-    mirror.x2, mirror.y2
-  );
-  
-  // If no intersection, the reflection is not visible
-  if (!eyeToMirrorIntersection) return false;
-  
-  // Check if the intersection point is within the mirror segment
-  const mirrorLength = dist(mirror.x1, mirror.y1, mirror.x2, mirror.y2);
-  const dist1 = dist(eyeToMirrorIntersection.x, eyeToMirrorIntersection.y, mirror.x1, mirror.y1);
-  const dist2 = dist(eyeToMirrorIntersection.x, eyeToMirrorIntersection.y, mirror.x2, mirror.y2);
-  
-  // Allow for a small margin of error due to floating point
-  const epsilon = 0.001;
-  if (dist1 + dist2 > mirrorLength * (1 + epsilon)) {
-    return false;
-  }
-  
-  // Calculate the direction from eye to intersection
-  const eyeToIntersection = {
-    x: eyeToMirrorIntersection.x - eye.x,
-    y: eyeToMirrorIntersection.y - eye.y
-  };
-  
-  // When dot product of normal and eyeToIntersection is negative,
-  // the eye is looking at the blue side of the mirror first
-  const lookingAtBlueSideFirst = dotProduct(mirrorNormal, eyeToIntersection) < 0;
-  
-  // If not looking at the blue side first, reflection is not visible
-  if (!lookingAtBlueSideFirst) return false;
-  
-  // Check if the ray passes through the mirror FIRST before reaching the reflection
-  // Calculate the distance from eye to intersection and from eye to reflection
-  const distToIntersection = Math.sqrt(
-    eyeToIntersection.x * eyeToIntersection.x + 
-    eyeToIntersection.y * eyeToIntersection.y
-  );
-  
-  const eyeToReflection = {
-    x: reflection.x - eye.x,
-    y: reflection.y - eye.y
-  };
-  
-  const distToReflection = Math.sqrt(
-    eyeToReflection.x * eyeToReflection.x + 
-    eyeToReflection.y * eyeToReflection.y
-  );
-  
-  // The ray should hit the mirror first, then the reflection
-  const intersectsBeforeReflection = distToIntersection < distToReflection;
-  
-  if (!intersectsBeforeReflection) return false;
-  
-  // Check if there are any obstructions between eye and mirror intersection
-  for (let otherMirror of mirrors) {
-    // Skip the mirror we're testing for
-    if (otherMirror === mirror) continue;
-    
-    // Check if the ray from eye to intersection crosses this other mirror
-    const blockingIntersection = lineIntersection(
-      eye.x, eye.y,
-      eyeToMirrorIntersection.x, eyeToMirrorIntersection.y,
-      otherMirror.x1, otherMirror.y1,
-      otherMirror.x2, otherMirror.y2
-    );
-    
-    if (blockingIntersection) {
-      // Calculate how far along the ray this blocking intersection occurs
-      const eyeToBlockingIntersection = {
-        x: blockingIntersection.x - eye.x,
-        y: blockingIntersection.y - eye.y
-      };
-      
-      const distToBlockingIntersection = Math.sqrt(
-        eyeToBlockingIntersection.x * eyeToBlockingIntersection.x + 
-        eyeToBlockingIntersection.y * eyeToBlockingIntersection.y
-      );
-      
-      // If the blocking intersection is closer than our mirror intersection,
-      // this means another mirror is blocking the view
-      if (distToBlockingIntersection < distToIntersection * 0.99) { // Add a small margin for floating point errors
-        return false;
-      }
-    }
-  }
-  
-  // PART 2: Check if the mirror can see the source object (ball or parent reflection)
-  
-  // For higher-order reflections (depth > 1), we need to check if the path is physically valid
-  if (reflection.depth > 1) {
-    // Calculate the reflection point on the mirror
-    const reflectionPoint = eyeToMirrorIntersection;
-    
-    // For reflections of reflections, the reflection should be visible from the mirror
-    // but only if the source of this reflection (parent) is also visible from the mirror
-    const parentReflection = reflection.parentReflection;
-    
-    // Check if there's a clear path from the parent reflection to the reflection point
-    for (let otherMirror of mirrors) {
-      // Skip the mirror we're testing for and the parent's mirror
-      if (otherMirror === mirror || (parentReflection && otherMirror === parentReflection.sourceMirror)) continue;
-      
-      // Check if any mirror blocks the path from parent reflection to reflection point
-      const blockingIntersection = lineIntersection(
-        parentReflection.x, parentReflection.y,
-        reflectionPoint.x, reflectionPoint.y,
-        otherMirror.x1, otherMirror.y1,
-        otherMirror.x2, otherMirror.y2
-      );
-      
-      if (blockingIntersection) {
-        // Calculate distances to determine if there's a blockage
-        const parentToBlockingDist = dist(parentReflection.x, parentReflection.y, blockingIntersection.x, blockingIntersection.y);
-        const parentToReflectionPointDist = dist(parentReflection.x, parentReflection.y, reflectionPoint.x, reflectionPoint.y);
-        
-        // If there's a mirror between the parent and the reflection point, this reflection isn't possible
-        if (parentToBlockingDist < parentToReflectionPointDist * 0.99) { // Small margin for floating point errors
-          return false;
-        }
-      }
-    }
-  } else {
-    // For first-order reflections, check if the original ball is visible from the mirror
-    
-    // Calculate the reflection point on the mirror
-    const reflectionPoint = eyeToMirrorIntersection;
-    
-    // Check if there's a clear path from the ball to the reflection point
-    for (let otherMirror of mirrors) {
-      // Skip the mirror we're testing for
-      if (otherMirror === mirror) continue;
-      
-      // Check if any mirror blocks the path from ball to reflection point
-      const blockingIntersection = lineIntersection(
-        ball.x, ball.y,
-        reflectionPoint.x, reflectionPoint.y,
-        otherMirror.x1, otherMirror.y1,
-        otherMirror.x2, otherMirror.y2
-      );
-      
-      if (blockingIntersection) {
-        // Calculate distances to determine if there's a blockage
-        const ballToBlockingDist = dist(ball.x, ball.y, blockingIntersection.x, blockingIntersection.y);
-        const ballToReflectionPointDist = dist(ball.x, ball.y, reflectionPoint.x, reflectionPoint.y);
-        
-        // If there's a mirror between the ball and the reflection point, the reflection isn't physically possible
-        if (ballToBlockingDist < ballToReflectionPointDist * 0.99) { // Small margin for floating point errors
-          return false;
-        }
-      }
-    }
-  }
-  
-  // For a reflection to be visible, all checks must pass
-  return true;
+ * Snapshot the live game state as an engine scene
+ * The engine never reads globals, so everything it needs is passed explicitly
+ *
+ * @returns {Object} Scene for computeScene / isImageVisible / computeHitPoints
+ */
+function currentScene() {
+  return {
+    ball: ball,
+    eye: eyePosition,
+    eyes: observers,
+    mirrors: mirrors,
+    glass: glassBlocks,
+    walls: walls,
+    obstacles: obstacles,
+    objects: sourceObjects,
+    bounds: { x: 0, y: 0, width: width, height: height },
+    options: { ...ENGINE_OPTIONS, perspective: perspectiveMode }
+  };
 }
 
 /**
- * Calculate higher-order reflections (2nd order and above)
- * Creates virtual reflections of reflections
+ * Check if a reflection is visible from current eye position
+ * See isImageVisible in optics-engine.js for the ray tracing itself
  * 
- * @param {Object} mirror - The mirror creating this reflection
- * @param {Object} object - The object being reflected (ball or another reflection)
- * @param {number} objectRadius - Radius of the reflected object
- * @param {number} depth - Reflection order (depth in the reflection tree)
- * @param {Array} allMirrors - All mirrors in the scene
- */
-function calculateHigherOrderReflection(mirror, object, objectRadius, depth, allMirrors) {
-  // Don't go beyond max reflection depth
-  if (depth > MAX_REFLECTIONS) return;
-  
-  // Don't calculate reflections that are too small
-  if (objectRadius / BALL_RADIUS < MIN_REFLECTION_SIZE_RATIO) return;
-  
-  // Use the stored normal vector for this mirror
-  const mirrorNormal = mirror.normal;
-  
-  // Calculate reflection of object across mirror line
-  // First find distance from object to mirror along normal
-  const objectToMirrorVec = {
-    x: object.x - mirror.x1,
-    y: object.y - mirror.y1
-  };
-  const normalDistance = dotProduct(objectToMirrorVec, mirrorNormal);
-  
-  // Only create reflections if object is on the reflective side of the mirror
-  if (normalDistance <= 0) return;
-  
-  // Calculate distance from object to mirror
-  const distToMirror = Math.abs(normalDistance);
-  
-  // Calculate reflection size:
-  // For each order of reflection, reduce size by a modest fixed percentage
-  let reflectionRadius;
-  
-  // Size reduction factors by reflection depth:
-  // depth 1 = 100% (original size)
-  // depth 2 = 85% of original
-  // depth 3 = 70% of original
-  // depth 4+ = 60% of original
-  const sizeFactors = [1, 0.85, 0.7, 0.6, 0.6, 0.6];
-  const sizeFactor = sizeFactors[Math.min(depth - 1, sizeFactors.length - 1)];
-  
-  reflectionRadius = BALL_RADIUS * sizeFactor;
-  
-  // Don't show reflections that would be too small
-  if (reflectionRadius < BALL_RADIUS * MIN_REFLECTION_SIZE_RATIO) return;
-  
-  // Reflection of object position is on opposite side of mirror, same distance from mirror
-  const virtualObject = {
-    x: object.x - 2 * normalDistance * mirrorNormal.x,
-    y: object.y - 2 * normalDistance * mirrorNormal.y,
-    radius: reflectionRadius,
-    depth: depth,
-    sourceMirror: mirror,
-    // For higher-order reflections, parent is the reflection that generated this one
-    parentReflection: object,
-    // Will hold the hit points for ray path drawing
-    hitPoints: []
-  };
-  
-  // Skip reflections that are outside the canvas bounds
-  if (virtualObject.x - virtualObject.radius < 0 || 
-      virtualObject.x + virtualObject.radius > width ||
-      virtualObject.y - virtualObject.radius < 0 || 
-      virtualObject.y + virtualObject.radius > height) {
-    return;
+ * @param {Object} reflection - The reflection to check
+ * @returns {boolean} True if the reflection is visible
+ */
+function isReflectionVisible(reflection) {
+  return isImageVisible(reflection, currentScene());
+}
+
+/**
+ * The images one eye can see
+ * The main eye's images are the reflections that pass isReflectionVisible; each
+ * extra eye's come from its own engine view and are visible by construction.
+ * 
+ * @param {string} [eyeLabel] - Label of the eye, or nothing for the main eye
+ * @returns {Array} The visible images (empty for an unknown label)
+ */
+function imagesSeenBy(eyeLabel) {
+  if (!eyeLabel || eyeLabel === eyePosition.label) {
+    return reflections.filter(reflection => isReflectionVisible(reflection));
   }
   
-  // Only add if this reflection is actually visible from current eye position
-  if (isReflectionVisible(virtualObject)) {
-    // Build the reflection chain back to the original ball
-    const reflectionChain = buildReflectionChain(virtualObject);
-    
-    // Create an array of hit points - where the ray hits each mirror
-    let hitPoints = calculateRayHitPoints(reflectionChain);
-    
-    // If we could calculate valid hit points, store them and add the reflection
-    if (hitPoints && hitPoints.length === reflectionChain.length) {
-      // Store hit points with the reflection for later use
-      virtualObject.hitPoints = hitPoints;
-      
-      reflections.push(virtualObject);
-      
-      // Recursively calculate next level reflections
-      for (let otherMirror of allMirrors) {
-        // Skip the mirror that created this reflection
-        if (otherMirror === mirror) continue;
-        
-        calculateHigherOrderReflection(otherMirror, virtualObject, reflectionRadius, depth + 1, allMirrors);
-      }
-    }
+  const view = observerViews.find(candidate => candidate.eye.label === eyeLabel);
+  if (!view) {
+    console.error(`No eye labelled ${eyeLabel}`);
+    return [];
   }
+  return view.images;
 }
 
 /**
- * Calculate hit points for a reflection chain
- * Determines where light rays intersect mirrors in a reflection sequence
+ * Calculate hit points for a reflection chain in the current scene
  * 
  * @param {Array} reflectionChain - The chain of reflections from ball to eye
  * @returns {Array} Array of hit points or null if invalid
  */
 function calculateRayHitPoints(reflectionChain) {
-  if (reflectionChain.length <= 1) {
-    // First-order reflection - calculate the single hit point directly
-    const mirror = reflectionChain[0].sourceMirror;
-    
-    // Calculate the virtual image of the ball in this mirror
-    const ballToMirrorVec = {
-      x: ball.x - mirror.x1,
-      y: ball.y - mirror.y1
-    };
-    const normalDistance = dotProduct(ballToMirrorVec, mirror.normal);
-    
-    const virtualBall = {
-      x: ball.x - 2 * normalDistance * mirror.normal.x,
-      y: ball.y - 2 * normalDistance * mirror.normal.y
-    };
-    
-    // Find where line from eye to virtual ball intersects the mirror
-    const hitPoint = lineIntersection(
-      eyePosition.x, eyePosition.y,
-      virtualBall.x, virtualBall.y,
-      mirror.x1, mirror.y1,
-      mirror.x2, mirror.y2
-    );
-    
-    if (hitPoint) {
-      // Store the mirror and virtual image with the hit point
-      hitPoint.mirror = mirror;
-      hitPoint.virtualImage = virtualBall;
-      hitPoint.mirrorIndex = mirrors.indexOf(mirror);
-      
-      return [hitPoint];
-    } else {
-      return null;
-    }
-  }
-  
-  // For higher-order reflections, we need to trace backwards from the eye
-  let hitPoints = [];
-  let mirrorIndices = [];
-  let virtualImages = [];
-  
-  // Start from the eye, find the first hit point on the last mirror
-  const lastMirror = reflectionChain[reflectionChain.length - 1].sourceMirror;
-  const lastVirtualImage = reflectionChain[reflectionChain.length - 1];
-  
-  // Find where line from eye to virtual image hits the mirror
-  const firstHitPoint = lineIntersection(
-    eyePosition.x, eyePosition.y,
-    lastVirtualImage.x, lastVirtualImage.y,
-    lastMirror.x1, lastMirror.y1,
-    lastMirror.x2, lastMirror.y2
-  );
-  
-  if (!firstHitPoint) return null; // Can't find first hit point
-  
-  // Add the mirror and virtual image data to the hit point
-  firstHitPoint.mirror = lastMirror;
-  firstHitPoint.virtualImage = lastVirtualImage;
-  firstHitPoint.mirrorIndex = mirrors.indexOf(lastMirror);
-  
-  // Add the first hit point
-  hitPoints.push(firstHitPoint);
-  
-  // For each previous reflection in the chain
-  let previousHitPoint = firstHitPoint;
-  
-  for (let i = reflectionChain.length - 2; i >= 0; i--) {
-    const currentReflection = reflectionChain[i];
-    const currentMirror = currentReflection.sourceMirror;
-    
-    // Find where line from previous hit point to this reflection's virtual image 
-    // intersects with this mirror
-    const hitPoint = lineIntersection(
-      previousHitPoint.x, previousHitPoint.y,
-      currentReflection.x, currentReflection.y,
-      currentMirror.x1, currentMirror.y1,
-      currentMirror.x2, currentMirror.y2
-    );
-    
-    if (!hitPoint) return null; // Can't find hit point
-    
-    // Add mirror and virtual image data to the hit point
-    hitPoint.mirror = currentMirror;
-    hitPoint.virtualImage = currentReflection;
-    hitPoint.mirrorIndex = mirrors.indexOf(currentMirror);
-    
-    // Add this hit point
-    hitPoints.push(hitPoint);
-    
-    // Update previous hit point for next iteration
-    previousHitPoint = hitPoint;
-  }
-  
-  // Now check if there's a clear path from the last hit point to the ball
-  // (no mirrors in between)
-  const lastHitPoint = hitPoints[hitPoints.length - 1];
-  
-  for (let mirror of mirrors) {
-    // Skip mirrors that are part of the reflection chain
-    let isPartOfChain = false;
-    for (let reflection of reflectionChain) {
-      if (reflection.sourceMirror === mirror) {
-        isPartOfChain = true;
-        break;
-      }
-    }
-    if (isPartOfChain) continue;
-    
-    // Check if this mirror blocks the path from last hit point to ball
-    const intersection = lineIntersection(
-      lastHitPoint.x, lastHitPoint.y,
-      ball.x, ball.y,
-      mirror.x1, mirror.y1,
-      mirror.x2, mirror.y2
-    );
-    
-    if (intersection) {
-      // Calculate distances to determine if there's a blockage
-      const hitPointToIntersectionDist = dist(lastHitPoint.x, lastHitPoint.y, intersection.x, intersection.y);
-      const hitPointToBallDist = dist(lastHitPoint.x, lastHitPoint.y, ball.x, ball.y);
-      
-      // If there's a mirror between the hit point and the ball, path is invalid
-      if (hitPointToIntersectionDist < hitPointToBallDist * 0.99) { // Small margin for floating point errors
-        return null;
-      }
-    }
-  }
-  
-  // Return the hit points in reverse order (from ball to eye)
-  return hitPoints.reverse();
+  return computeHitPoints(reflectionChain, currentScene());
 }
 
 /**
  * Calculate all reflections in the scene
- * First calculates first-order reflections, then builds higher orders
- * This is the main physics engine function that computes all virtual images
+ * This is the main physics entry point for the game; the work is done by
+ * computeScene in optics-engine.js, which also runs headless under Node
  */
 function calculateReflections() {
-  // Clear previous reflections
-  reflections = [];
-
-  // For each mirror, check visibility and calculate first-order reflections
-  for (let mirror of mirrors) {
-    // Calculate reflection of ball across mirror line
-    // Use the stored normal vector for this mirror
-    const mirrorNormal = mirror.normal;
-    
-    // First find distance from ball to mirror along normal
-    const ballToMirrorVec = {
-      x: ball.x - mirror.x1,
-      y: ball.y - mirror.y1
-    };
-    const normalDistance = dotProduct(ballToMirrorVec, mirrorNormal);
-    
-    // Only create reflections if ball is on the reflective side of the mirror (normal points toward ball)
-    if (normalDistance <= 0) continue;
-    
-    // Calculate distance from ball to mirror
-    const distToMirror = Math.abs(normalDistance);
-    
-    // For first-order reflections, maintain the same size as the original ball
-    const reflectionRadius = ball.radius;
-    
-    // Reflection of ball position is on opposite side of mirror, same distance from mirror
-    const virtualBall = {
-      x: ball.x - 2 * normalDistance * mirrorNormal.x,
-      y: ball.y - 2 * normalDistance * mirrorNormal.y,
-      radius: reflectionRadius,
-      depth: 1,
-      sourceMirror: mirror,
-      parentReflection: null, // First-order reflections don't have parent reflections
-      hitPoints: [] // Will store hit points
-    };
-    
-    // Skip reflections that are outside the canvas bounds
-    if (virtualBall.x - virtualBall.radius < 0 || 
-        virtualBall.x + virtualBall.radius > width ||
-        virtualBall.y - virtualBall.radius < 0 || 
-        virtualBall.y + virtualBall.radius > height) {
-      continue;
-    }
-    
-    // Check if this specific reflection is visible from the eye position
-    if (isReflectionVisible(virtualBall)) {
-      // Calculate the hit point for this first-order reflection
-      const hitPoint = lineIntersection(
-        eyePosition.x, eyePosition.y,
-        virtualBall.x, virtualBall.y,
-        mirror.x1, mirror.y1,
-        mirror.x2, mirror.y2
-      );
-      
-      if (hitPoint) {
-        // Store hit point
-        virtualBall.hitPoints = [hitPoint];
-        
-        // Add to reflections
-        reflections.push(virtualBall);
-      }
-    }
-  }
-
-  // Calculate higher-order reflections
-  const processedReflections = [...reflections]; // Copy the array of first-order reflections
-  for (let reflection of processedReflections) {
-    // Calculate reflection of this reflection in other mirrors
-    for (let otherMirror of mirrors) {
-      // Skip the mirror that created this reflection
-      if (otherMirror === reflection.sourceMirror) continue;
-      
-      calculateHigherOrderReflection(otherMirror, reflection, reflection.radius, 2, mirrors);
-    }
-  }
+  // The first view is the main eye's; the rest belong to the extra eyes
+  const [result, ...otherViews] = computeObserverViews(currentScene());
+  reflections = result.images;
+  reflectionRays = result.rays;
+  refractedImages = result.refractedImages;
+  rejectedImages = result.rejectedImages;
+  observerViews = otherViews;
+  
+  // Forward tracing is only needed while the mode is on
+  sourceRays = showSourceRays ? traceSourceRays(currentScene(), sourceRaySettings) : [];
+  eyeView = showEyeView ? viewFromEye(currentScene(), result) : [];
+  updatePathFilters();
+  updateInspector();
+  regionStale = true;
+  heatmapStale = true;
 }
 
 /**
  * Find the closest reflection intersection for a ray
+ * Uses the same surface search as forward tracing (findNextSurface in optics-engine.js)
  * 
  * @param {Object} ray - The ray to trace (start and end points)
  * @returns {Object} The closest intersection and reflection vector
  */
 function findClosestReflection(ray) {
-  let closestIntersection = null;
-  let closestDistance = Infinity;
-  
-  // Check each mirror for intersection
-  for (let mirror of mirrors) {
-    // Calculate mirror line segments
-    const mirrorLine = {
-      x1: mirror.x1, 
-      y1: mirror.y1,
-      x2: mirror.x2,
-      y2: mirror.y2
-    };
-    
-    // Find intersection point between ray and mirror
-    const intersection = lineIntersection(
-      ray.start.x, ray.start.y, ray.end.x, ray.end.y,
-      mirrorLine.x1, mirrorLine.y1, mirrorLine.x2, mirrorLine.y2
-    );
-    
-    // If intersection found
-    if (intersection) {
-      // Calculate distance from ray start to intersection
-      const distance = dist(ray.start.x, ray.start.y, intersection.x, intersection.y);
-      
-      // If this is closer than previous intersections, save it
-      if (distance < closestDistance) {
-        // Calculate reflection vector
-        const incidentVector = {
-          x: ray.end.x - ray.start.x,
-          y: ray.end.y - ray.start.y
-        };
-        const normalizedIncident = normalizeVector(incidentVector);
-        
-        // Get mirror normal (perpendicular to mirror line)
-        const mirrorVector = {
-          x: mirror.x2 - mirror.x1,
-          y: mirror.y2 - mirror.y1
-        };
-        const mirrorNormal = {
-          x: -mirrorVector.y,
-          y: mirrorVector.x
-        };
-        const normalizedNormal = normalizeVector(mirrorNormal);
-        
-        // Calculate reflection vector using formula: r = i - 2(i·n)n
-        // Where i is incident vector, n is normal vector, and r is reflection vector
-        const dot = dotProduct(normalizedIncident, normalizedNormal);
-        const reflectionVector = {
-          x: normalizedIncident.x - 2 * dot * normalizedNormal.x,
-          y: normalizedIncident.y - 2 * dot * normalizedNormal.y
-        };
-        
-        closestIntersection = {
-          point: intersection,
-          reflection: reflectionVector
-        };
-        closestDistance = distance;
-      }
-    }
-  }
-  
-  return closestIntersection;
-}
-
-/**
- * Calculate intersection between two line segments
- * Core geometric function for ray-mirror intersections
- * 
- * @param {number} x1 - First line start x-coordinate
- * @param {number} y1 - First line start y-coordinate
- * @param {number} x2 - First line end x-coordinate
- * @param {number} y2 - First line end y-coordinate
- * @param {number} x3 - Second line start x-coordinate
- * @param {number} y3 - Second line start y-coordinate
- * @param {number} x4 - Second line end x-coordinate
- * @param {number} y4 - Second line end y-coordinate
- * @returns {Object} Intersection point or null if no intersection
- */
-function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
-  // Calculate denominator
-  const den = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
-  
-  // If lines are parallel
-  if (den === 0) {
-    return null;
-  }
-  
-  // Calculate ua and ub
-  const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / den;
-  const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / den;
+  const rayLength = dist(ray.start.x, ray.start.y, ray.end.x, ray.end.y);
+  const incidentVector = normalizeVector({
+    x: ray.end.x - ray.start.x,
+    y: ray.end.y - ray.start.y
+  });
   
-  // If intersection is within both line segments
-  if (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1) {
-    const x = x1 + ua * (x2 - x1);
-    const y = y1 + ua * (y2 - y1);
-    return {x, y};
-  }
+  const surface = findNextSurface(ray.start, incidentVector, currentScene());
+  if (!surface || !surface.mirror || surface.distance > rayLength) return null;
   
-  return null;
-}
-
-// ===========================
-// VECTOR MATH UTILITIES
-// ===========================
-
-/**
- * Normalize a vector to unit length
- * 
- * @param {Object} v - Vector with x,y components
- * @returns {Object} Normalized vector
- */
-function normalizeVector(v) {
-  const length = Math.sqrt(v.x * v.x + v.y * v.y);
+  // Calculate reflection vector using formula: r = i - 2(i·n)n
   return {
-    x: v.x / length,
-    y: v.y / length
+    point: surface.point,
+    reflection: reflectDirection(incidentVector, surfaceNormalAt(surface.mirror, surface.point))
   };
 }
 
-/**
- * Calculate dot product between two vectors
- * 
- * @param {Object} v1 - First vector with x,y components
- * @param {Object} v2 - Second vector with x,y components
- * @returns {number} Dot product result
- */
-function dotProduct(v1, v2) {
-  return v1.x * v2.x + v1.y * v2.y;
-}
-
 // ===========================
 // INTERACTION HANDLERS
 // ===========================
@@ -1733,20 +2949,7 @@ mouseDragged = function() {
     // For both endpoint and middle dragging, update the mirror sides
     const mirror = draggedMirrorPoint ? mirrors[draggedMirrorPoint.index] : mirrors[draggedMirrorIndex];
     
-    // Update both sides' coordinates
-    const halfWidth = mirror.width / 2;
-    
-    // Update blue side coordinates
-    mirror.blueX1 = mirror.x1 + mirror.normal.x * halfWidth;
-    mirror.blueY1 = mirror.y1 + mirror.normal.y * halfWidth;
-    mirror.blueX2 = mirror.x2 + mirror.normal.x * halfWidth;
-    mirror.blueY2 = mirror.y2 + mirror.normal.y * halfWidth;
-    
-    // Update black side coordinates
-    mirror.blackX1 = mirror.x1 - mirror.normal.x * halfWidth;
-    mirror.blackY1 = mirror.y1 - mirror.normal.y * halfWidth;
-    mirror.blackX2 = mirror.x2 - mirror.normal.x * halfWidth;
-    mirror.blackY2 = mirror.y2 - mirror.normal.y * halfWidth;
+    updateMirrorSides(mirror);
     
     // Recalculate reflections
     calculateReflections();
@@ -1766,6 +2969,117 @@ mouseDragged = function() {
     eyePosition.x = constrain(eyePosition.x, EYE_SIZE / 2, width - EYE_SIZE / 2);
     eyePosition.y = constrain(eyePosition.y, EYE_SIZE / 2, height - EYE_SIZE / 2);
     
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'eyeDirection') {
+    // Check if eyes are specifically movable
+    if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('eye')) {
+      console.log("Eye movement is not allowed in this puzzle");
+      return;
+    }
+    
+    // Point the eye at the mouse, in whole degrees from 0 to 359
+    const angle = degrees(Math.atan2(mouseY - draggedEyeHandle.y, mouseX - draggedEyeHandle.x));
+    draggedEyeHandle.direction = (Math.round(angle) + 360) % 360;
+    
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'observer') {
+    // Check if eyes are specifically movable
+    if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('eye')) {
+      console.log("Eye movement is not allowed in this puzzle");
+      return;
+    }
+    
+    // Move the extra eye to the mouse position, keeping it within canvas bounds
+    const observer = observers[draggedObserverIndex];
+    observer.x = constrain(mouseX, EYE_SIZE / 2, width - EYE_SIZE / 2);
+    observer.y = constrain(mouseY, EYE_SIZE / 2, height - EYE_SIZE / 2);
+    
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'wall') {
+    // Check if walls are specifically movable
+    if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('wall')) {
+      console.log("Walls are not movable in this puzzle");
+      return;
+    }
+    
+    if (draggedWallPoint) {
+      // Move one end of the wall
+      const wall = walls[draggedWallPoint.index];
+      if (draggedWallPoint.point === 1) {
+        wall.x1 = constrain(mouseX, 0, width);
+        wall.y1 = constrain(mouseY, 0, height);
+      } else {
+        wall.x2 = constrain(mouseX, 0, width);
+        wall.y2 = constrain(mouseY, 0, height);
+      }
+    } else if (draggedWallIndex !== null) {
+      // Move the whole wall by the mouse displacement
+      const wall = walls[draggedWallIndex];
+      const dx = mouseX - pmouseX;
+      const dy = mouseY - pmouseY;
+      wall.x1 += dx;
+      wall.y1 += dy;
+      wall.x2 += dx;
+      wall.y2 += dy;
+    }
+    
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'object') {
+    // Check if objects are specifically movable
+    if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('object')) {
+      console.log("Objects are not movable in this puzzle");
+      return;
+    }
+    
+    // Move the object to the mouse position, keeping it within canvas bounds
+    const object = sourceObjects[draggedSourceObjectIndex];
+    object.x = constrain(mouseX, object.radius, width - object.radius);
+    object.y = constrain(mouseY, object.radius, height - object.radius);
+    
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'obstacle') {
+    // Check if obstacles are specifically movable
+    if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('obstacle')) {
+      console.log("Obstacles are not movable in this puzzle");
+      return;
+    }
+    
+    // Translate the whole obstacle by the mouse displacement
+    const dx = mouseX - pmouseX;
+    const dy = mouseY - pmouseY;
+    for (let point of obstacles[draggedObstacleIndex].points) {
+      point.x += dx;
+      point.y += dy;
+    }
+    
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'glass') {
+    // Check if glass is specifically movable
+    if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('glass')) {
+      console.log("Glass is not movable in this puzzle");
+      return;
+    }
+    
+    // Translate the whole block by the mouse displacement
+    const dx = mouseX - pmouseX;
+    const dy = mouseY - pmouseY;
+    for (let point of glassBlocks[draggedGlassIndex].points) {
+      point.x += dx;
+      point.y += dy;
+    }
+    
     // Recalculate reflections
     calculateReflections();
   }
@@ -1825,8 +3139,8 @@ mousePressed = function() {
       
       // Check if mouse is within the reflection's circle
       const distance = dist(mouseX, mouseY, reflection.x, reflection.y);
-      const isWithinRadius = distance < reflection.radius;
-      console.log(`Reflection ${i} - distance: ${distance}, radius: ${reflection.radius}, within: ${isWithinRadius}`);
+      const isWithinRadius = distance < reflection.drawRadius;
+      console.log(`Reflection ${i} - distance: ${distance}, radius: ${reflection.drawRadius}, within: ${isWithinRadius}`);
       
       if (isWithinRadius) {
         // Show rays for this reflection
@@ -1883,6 +3197,24 @@ mousePressed = function() {
     return;
   }
   
+  // Check if clicked on one of the other source objects
+  for (let i = 0; i < sourceObjects.length; i++) {
+    const object = sourceObjects[i];
+    if (dist(mouseX, mouseY, object.x, object.y) < object.radius) {
+      // Check if objects are specifically movable
+      if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('object')) {
+        console.log("Objects are not movable in this puzzle");
+        return;
+      }
+      
+      console.log("Started dragging object", object.id);
+      isDragging = true;
+      draggedObject = 'object';
+      draggedSourceObjectIndex = i;
+      return;
+    }
+  }
+  
   // Check if clicked on a mirror endpoint or middle
   for (let i = 0; i < mirrors.length; i++) {
     const mirror = mirrors[i];
@@ -1931,6 +3263,7 @@ mousePressed = function() {
     // Check if clicked near the midpoint or along the line segment
     if (dist(mouseX, mouseY, midX, midY) < 15 || 
         isPointNearLineSegment(mouseX, mouseY, mirror.x1, mirror.y1, mirror.x2, mirror.y2, 10) ||
+        (isCurvedMirror(mirror) && distanceToMirror({ x: mouseX, y: mouseY }, mirror) < 10) ||
         isPointNearLineSegment(mouseX, mouseY, mirror.blueX1, mirror.blueY1, mirror.blueX2, mirror.blueY2, 10) ||
         isPointNearLineSegment(mouseX, mouseY, mirror.blackX1, mirror.blackY1, mirror.blackX2, mirror.blackY2, 10)) {
       
@@ -1948,6 +3281,25 @@ mousePressed = function() {
     }
   }
   
+  // Check if clicked on the rotation handle of an eye with a field of view
+  for (let observer of [eyePosition, ...observers]) {
+    if (observer.fieldOfView === undefined || observer.fieldOfView >= 360) continue;
+    
+    const handle = eyeHandlePosition(observer);
+    if (dist(mouseX, mouseY, handle.x, handle.y) < 8) {
+      // Turning an eye follows the same movability rule as moving it
+      if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('eye')) {
+        console.log("Eye is not movable in this puzzle");
+        return;
+      }
+      
+      isDragging = true;
+      draggedObject = 'eyeDirection';
+      draggedEyeHandle = observer;
+      return;
+    }
+  }
+  
   // Check if clicked on the eye
   if (dist(mouseX, mouseY, eyePosition.x, eyePosition.y) < EYE_SIZE / 2) {
     // Check if the eye is specifically movable
@@ -1961,6 +3313,76 @@ mousePressed = function() {
     return;
   }
   
+  // Check if clicked on one of the extra eyes
+  for (let i = 0; i < observers.length; i++) {
+    if (dist(mouseX, mouseY, observers[i].x, observers[i].y) < EYE_SIZE / 2) {
+      // Extra eyes follow the same movability rule as the main one
+      if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('eye')) {
+        console.log("Eye is not movable in this puzzle");
+        return;
+      }
+      
+      isDragging = true;
+      draggedObject = 'observer';
+      draggedObserverIndex = i;
+      return;
+    }
+  }
+  
+  // Check if clicked on a wall endpoint or along a wall
+  for (let i = 0; i < walls.length; i++) {
+    const wall = walls[i];
+    const nearEnd1 = dist(mouseX, mouseY, wall.x1, wall.y1) < 10;
+    const nearEnd2 = dist(mouseX, mouseY, wall.x2, wall.y2) < 10;
+    
+    if (nearEnd1 || nearEnd2 ||
+        isPointNearLineSegment(mouseX, mouseY, wall.x1, wall.y1, wall.x2, wall.y2, WALL_THICKNESS)) {
+      // Check if walls are specifically movable
+      if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('wall')) {
+        console.log("Walls are not movable in this puzzle");
+        return;
+      }
+      
+      isDragging = true;
+      draggedObject = 'wall';
+      draggedWallPoint = nearEnd1 ? {index: i, point: 1} : nearEnd2 ? {index: i, point: 2} : null;
+      draggedWallIndex = draggedWallPoint ? null : i;
+      return;
+    }
+  }
+  
+  // Check if clicked inside an obstacle
+  for (let i = 0; i < obstacles.length; i++) {
+    if (isPointInPolygon({ x: mouseX, y: mouseY }, obstacles[i].points)) {
+      // Check if obstacles are specifically movable
+      if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('obstacle')) {
+        console.log("Obstacles are not movable in this puzzle");
+        return;
+      }
+      
+      isDragging = true;
+      draggedObject = 'obstacle';
+      draggedObstacleIndex = i;
+      return;
+    }
+  }
+  
+  // Check if clicked inside a glass block (checked last so objects behind glass stay draggable)
+  for (let i = 0; i < glassBlocks.length; i++) {
+    if (isPointInPolygon({ x: mouseX, y: mouseY }, glassBlocks[i].points)) {
+      // Check if glass is specifically movable
+      if (typeof window.isObjectMovable === 'function' && !window.isObjectMovable('glass')) {
+        console.log("Glass is not movable in this puzzle");
+        return;
+      }
+      
+      isDragging = true;
+      draggedObject = 'glass';
+      draggedGlassIndex = i;
+      return;
+    }
+  }
+  
   console.log("Click not handled by any object");
 };
 
@@ -2044,34 +3466,21 @@ function addNewMirror() {
   };
   console.log("Mirror normal:", normal.x, normal.y);
   
-  // Calculate the actual positions of both sides of the mirror
-  const halfWidth = MIRROR_WIDTH / 2;
-  
-  // Blue side coordinates
-  const blueX1 = x1 + normal.x * halfWidth;
-  const blueY1 = y1 + normal.y * halfWidth;
-  const blueX2 = x2 + normal.x * halfWidth;
-  const blueY2 = y2 + normal.y * halfWidth;
-  
-  // Black side coordinates
-  const blackX1 = x1 - normal.x * halfWidth;
-  const blackY1 = y1 - normal.y * halfWidth;
-  const blackX2 = x2 - normal.x * halfWidth;
-  const blackY2 = y2 - normal.y * halfWidth;
-  
   // Add the new mirror to the mirrors array
-  mirrors.push({
+  const mirror = {
+    // Name used in reflection IDs; kept when other mirrors are added or removed
+    id: unusedMirrorId(),
     // Center line (for calculation purposes)
     x1, y1, x2, y2,
-    // Blue reflective side
-    blueX1, blueY1, blueX2, blueY2,
-    // Black non-reflective side
-    blackX1, blackY1, blackX2, blackY2,
     // Properties
     thickness: MIRROR_THICKNESS,
     normal: normal,
     width: MIRROR_WIDTH
-  });
+  };
+  
+  // Blue reflective side and black non-reflective side
+  updateMirrorSides(mirror);
+  mirrors.push(mirror);
   console.log("New mirror added at index", mirrors.length - 1);
   console.log("Mirror array now contains", mirrors.length, "mirrors");
   
@@ -2081,6 +3490,62 @@ function addNewMirror() {
   console.log("Reflections calculated:", reflections.length, "reflections found");
 }
 
+/**
+ * The first of M0, M1, ... that no mirror in the scene is using
+ *
+ * @returns {string} A free mirror ID
+ */
+function unusedMirrorId() {
+  let index = 0;
+  while (mirrors.some(mirror => mirror.id === `M${index}`)) index++;
+  return `M${index}`;
+}
+
+/**
+ * Recompute a mirror's blue and black sides from its center line, normal and width
+ * Call after moving or turning a mirror so the drawn sides follow it
+ *
+ * @param {Object} mirror - The mirror to update
+ */
+function updateMirrorSides(mirror) {
+  const halfWidth = mirror.width / 2;
+  
+  // Blue side coordinates -- the reflective side
+  mirror.blueX1 = mirror.x1 + mirror.normal.x * halfWidth;
+  mirror.blueY1 = mirror.y1 + mirror.normal.y * halfWidth;
+  mirror.blueX2 = mirror.x2 + mirror.normal.x * halfWidth;
+  mirror.blueY2 = mirror.y2 + mirror.normal.y * halfWidth;
+  
+  // Black side coordinates -- the opaque side
+  mirror.blackX1 = mirror.x1 - mirror.normal.x * halfWidth;
+  mirror.blackY1 = mirror.y1 - mirror.normal.y * halfWidth;
+  mirror.blackX2 = mirror.x2 - mirror.normal.x * halfWidth;
+  mirror.blackY2 = mirror.y2 - mirror.normal.y * halfWidth;
+}
+
+/**
+ * Turn a mirror rigidly about a point, normal and sides included
+ *
+ * @param {Object} mirror - The mirror to turn
+ * @param {Object} pivot - Point to turn about {x, y}
+ * @param {number} angleDegrees - Angle to turn by, clockwise on screen
+ */
+function rotateMirror(mirror, pivot, angleDegrees) {
+  const angle = radians(angleDegrees);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const turn = (x, y) => ({ x: x * cos - y * sin, y: x * sin + y * cos });
+  
+  const end1 = turn(mirror.x1 - pivot.x, mirror.y1 - pivot.y);
+  const end2 = turn(mirror.x2 - pivot.x, mirror.y2 - pivot.y);
+  mirror.x1 = pivot.x + end1.x;
+  mirror.y1 = pivot.y + end1.y;
+  mirror.x2 = pivot.x + end2.x;
+  mirror.y2 = pivot.y + end2.y;
+  mirror.normal = turn(mirror.normal.x, mirror.normal.y);
+  updateMirrorSides(mirror);
+}
+
 /**
  * Determine which mirrors are directly visible from the eye
  * Used for optimization and game mechanics
@@ -2160,6 +3625,13 @@ function mouseReleased() {
   draggedObject = null;
   draggedMirrorPoint = null;
   draggedMirrorIndex = null;
+  draggedGlassIndex = null;
+  draggedWallPoint = null;
+  draggedWallIndex = null;
+  draggedObstacleIndex = null;
+  draggedSourceObjectIndex = null;
+  draggedObserverIndex = null;
+  draggedEyeHandle = null;
 }
 
 function keyPressed() {
@@ -812,7 +812,13 @@ function checkPuzzleConditions() {
 }
 
 // Helper function to check a single condition
+// Conditions naming an "object" id only count the images of that object, and
+// conditions naming an "eye" label only count the images that eye sees
 function checkSingleCondition(condition, reflectionCounts) {
+  if (condition.object || condition.eye) {
+    reflectionCounts = countReflectionsByOrder(condition.object, condition.eye);
+  }
+  
   switch (condition.type) {
     case 'exactReflections':
       // Check if there are exactly N reflections of order X
@@ -851,8 +857,12 @@ function checkSingleCondition(condition, reflectionCounts) {
   }
 }
 
-// Count reflections grouped by their order/depth
-function countReflectionsByOrder() {
+// Count reflections grouped by their order/depth, optionally only those of one
+// source object and only those seen by one eye (the main eye by default)
+// An image formed by several mirror chains counts once, unless the puzzle sets
+// "deduplicateImages": false to count each chain at its own order; that includes
+// the chains whose own path does not reach the eye (see mergeCoincidentImages)
+function countReflectionsByOrder(objectId, eyeLabel) {
   const counts = {};
   
   // Initialize counts for all possible orders
@@ -861,9 +871,15 @@ function countReflectionsByOrder() {
   }
   
   // Count visible reflections by their depth
-  for (let reflection of reflections) {
-    if (isReflectionVisible(reflection)) {
-      counts[reflection.depth] = (counts[reflection.depth] || 0) + 1;
+  for (let reflection of imagesSeenBy(eyeLabel)) {
+    if (objectId && reflectionSource(reflection).id !== objectId) continue;
+    
+    counts[reflection.depth] = (counts[reflection.depth] || 0) + 1;
+    
+    if (currentPuzzle && currentPuzzle.deduplicateImages === false) {
+      for (let twin of reflection.coincidentImages) {
+        counts[twin.depth] = (counts[twin.depth] || 0) + 1;
+      }
     }
   }
   
@@ -1189,9 +1205,9 @@ window.isObjectMovable = function(objectType) {
     // Convert objectType for checking in the array
     let checkType = objectType;
     
-    // Convert from singular to plural for mirrors
-    if (objectType === 'mirror') {
-      checkType = 'mirrors';
+    // Convert from singular to plural for mirrors, walls, obstacles and objects
+    if (objectType === 'mirror' || objectType === 'wall' || objectType === 'obstacle' || objectType === 'object') {
+      checkType = objectType + 's';
     }
     
     const isMovable = movableObjects.includes(checkType);
@@ -1214,6 +1230,14 @@ window.isObjectMovable = function(objectType) {
       isMovable = Boolean(movableObjects.mirrors);
       console.log(`Mirror movable check (object format):", ${isMovable}`);
       return isMovable;
+    case 'glass':
+      return Boolean(movableObjects.glass);
+    case 'wall':
+      return Boolean(movableObjects.walls);
+    case 'obstacle':
+      return Boolean(movableObjects.obstacles);
+    case 'object':
+      return Boolean(movableObjects.objects);
     default:
       console.log(`Unknown object type: ${objectType}`);
       return false;
@@ -1498,7 +1522,7 @@ function addPointToUserPath(x, y) {
     
     const reflection = reflections[i];
     const distance = dist(x, y, reflection.x, reflection.y);
-    const isWithinRadius = distance <= reflection.radius;
+    const isWithinRadius = distance <= reflection.drawRadius;
     
     console.log("Reflection", i, ":", {
       x: reflection.x, 
@@ -1739,11 +1763,10 @@ function drawPathIdentification() {
       // Skip the mirror that created the last hit point
       if (mirror === lastMirror) continue;
       
-      const intersection = lineIntersection(
+      const intersection = intersectMirror(
         lastHitPoint.x, lastHitPoint.y,
         currentReflection.x, currentReflection.y,
-        mirror.x1, mirror.y1,
-        mirror.x2, mirror.y2
+        mirror
       );
       
       if (intersection) {
@@ -1846,9 +1869,10 @@ function drawUserTargetToEye(userRayPath, strokeColor) {
       line(current.x, current.y, next.x, next.y);
     }
     
-    // Draw line from first hit point (closest to ball) to ball
+    // Draw line from first hit point (closest to ball) to the ball or other source object
     const firstHitPoint = targetReflection.hitPoints[0];
-    line(ball.x, ball.y, firstHitPoint.x, firstHitPoint.y);
+    const source = reflectionSource(targetReflection);
+    line(source.x, source.y, firstHitPoint.x, firstHitPoint.y);
     
     // Draw white dots at all hit points
     fill(255);
@@ -1891,8 +1915,9 @@ function drawPuzzleSolutionPath() {
   strokeWeight(3);
   noFill();
   
-  // Draw line from ball to first hit point
-  line(ball.x, ball.y, reflection.hitPoints[0].x, reflection.hitPoints[0].y);
+  // Draw line from the ball (or other source object) to first hit point
+  const source = reflectionSource(reflection);
+  line(source.x, source.y, reflection.hitPoints[0].x, reflection.hitPoints[0].y);
   
   // Connect all hit points with solid lines
   for (let i = 0; i < reflection.hitPoints.length - 1; i++) {
@@ -1983,7 +2008,7 @@ window.drawDetectiveOverlay = function() {
       strokeWeight(6); // still thick enough to be visible
       
       // Use a more reasonable size - just a bit larger than the reflection
-      const size = refl.radius * 2;
+      const size = refl.drawRadius * 2;
       
       // Draw X
       line(refl.x - size/2, refl.y - size/2, refl.x + size/2, refl.y + size/2);
@@ -2061,7 +2086,7 @@ window.handlePuzzleDoubleClick = function() {
         (mouseY - refl.y) * (mouseY - refl.y)
       );
       
-      if (dist <= refl.radius) {
+      if (dist <= refl.drawRadius) {
         console.log("Double-clicked on reflection " + i);
         
         // Toggle marking
@@ -2085,31 +2110,6 @@ window.handlePuzzleDoubleClick = function() {
   return false;
 };
 
-// Helper functions for path identification puzzles
-
-// Find the intersection point of two line segments
-function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
-  // Calculate determinants
-  const det = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
-  
-  // Lines are parallel or coincident
-  if (Math.abs(det) < 0.0001) return null;
-  
-  // Calculate intersection point
-  const x = ((x1 * y2 - y1 * x2) * (x3 - x4) - (x1 - x2) * (x3 * y4 - y3 * x4)) / det;
-  const y = ((x1 * y2 - y1 * x2) * (y3 - y4) - (y1 - y2) * (x3 * y4 - y3 * x4)) / det;
-  
-  // Check if the intersection point is on both line segments
-  if (x < Math.min(x1, x2) - 0.0001 || x > Math.max(x1, x2) + 0.0001 ||
-      x < Math.min(x3, x4) - 0.0001 || x > Math.max(x3, x4) + 0.0001 ||
-      y < Math.min(y1, y2) - 0.0001 || y > Math.max(y1, y2) + 0.0001 ||
-      y < Math.min(y3, y4) - 0.0001 || y > Math.max(y3, y4) + 0.0001) {
-    return null;
-  }
-  
-  return { x, y };
-}
-
 // Setup for presentation mode
 function setupPresentationMode() {
   console.log("Setting up presentation mode");
@@ -2161,7 +2161,11 @@ function enableFreeMovement() {
     currentPuzzle.movableObjects = {
       mirrors: true,
       ball: true,
-      eye: true
+      eye: true,
+      glass: true,
+      walls: true,
+      obstacles: true,
+      objects: true
     };
     
     console.log("Updated movableObjects from", JSON.stringify(oldMovableObjects), "to", JSON.stringify(currentPuzzle.movableObjects));
@@ -2387,6 +2391,16 @@ function setupDetectivePuzzle() {
   safeRedraw();
 }
 
+// Find the reflection a manipulation targets
+// Puzzles name it by image ID ("ball>M1>M0": the source, then the mirrors the light hits),
+// which survives changes to the arrangement; older puzzles give its position in reflections
+function manipulatedReflectionIndex(manipulation) {
+  if (manipulation.image !== undefined) {
+    return reflections.findIndex(reflection => reflection.id === manipulation.image);
+  }
+  return manipulation.index;
+}
+
 // Function to apply manipulations to reflections
 function applyManipulationsToReflections() {
   if (!currentPuzzle || !currentPuzzle.manipulatedReflections) {
@@ -2415,7 +2429,7 @@ function applyManipulationsToReflections() {
   
   // Apply manipulations
   currentPuzzle.manipulatedReflections.forEach(manipulation => {
-    const index = manipulation.index;
+    const index = manipulatedReflectionIndex(manipulation);
     
     if (index >= 0 && index < reflections.length) {
       // Check which format is used for translations
@@ -2437,7 +2451,7 @@ function applyManipulationsToReflections() {
         console.warn(`Manipulation for index ${index} has invalid translation format`);
       }
     } else {
-      console.warn(`Manipulation refers to invalid reflection index: ${index}`);
+      console.warn(`Manipulation refers to a reflection that is not in the scene: ${manipulation.image || index}`);
     }
   });
   
@@ -2509,7 +2523,7 @@ function submitDetectiveSolution() {
   
   // Check if there are manipulated reflections in the current puzzle
   if (currentPuzzle && currentPuzzle.manipulatedReflections) {
-    const manipulatedIndices = currentPuzzle.manipulatedReflections.map(m => m.index);
+    const manipulatedIndices = currentPuzzle.manipulatedReflections.map(manipulatedReflectionIndex);
     console.log("Manipulated reflections:", manipulatedIndices);
     
     // Compare the user's marked reflections with the actually manipulated ones
@@ -2606,7 +2620,7 @@ function highlightManipulatedReflections() {
   if (!currentPuzzle || !currentPuzzle.manipulatedReflections) return;
   
   // For each manipulated reflection, store its index if not already marked
-  const manipulatedIndices = currentPuzzle.manipulatedReflections.map(m => m.index);
+  const manipulatedIndices = currentPuzzle.manipulatedReflections.map(manipulatedReflectionIndex);
   
   // Only show these if the puzzle is solved
   if (isPuzzleSolved) {
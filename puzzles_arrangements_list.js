@@ -36,6 +36,14 @@ const PUZZLES_LIST = [
     filename: "11-14-reflections.json",
     name: "11-14 Reflections Challenge"
   },
+  {
+    filename: "red-cube-only.json",
+    name: "Only the Red Cube"
+  },
+  {
+    filename: "two-eyes.json",
+    name: "For Your Eye Only"
+  },
   {
     filename: "simple-identification.json",
     name: "Simple Identification"
@@ -68,18 +76,29 @@ const PUZZLES_LIST = [
 
 const ARRANGEMENTS_LIST = [
   "2-order.json",
+  "around-the-corner.json",
   "basic-setup.json",
+  "beamsplitter.json",
   "circle.json",
   "colorful.json",
+  "curved-mirrors.json",
+  "glass-block.json",
+  "handedness.json",
+  "hinged-mirrors.json",
+  "lenses.json",
   "p3.json",
   "parallel-2.json",
   "parallel-mirrors.json", 
+  "periscope.json",
   "perpendiculary-3-mirror.json",
   "perpy-tricky-2.json",
   "perpy-tricky.json",
   "ray-problems-2.json",
   "ray-problems.json",
+  "rear-view-mirror.json",
+  "several-objects.json",
   "simple-2nd-order.json",
+  "two-eyes.json",
   "weird-face.json",
   "whale.json",
   "wrong-optics-1.json",
@@ -0,0 +1,128 @@
+/**
+ * Optics Game - Arrangement regression check
+ *
+ * Runs the headless optics engine over arrangement files and reports how many
+ * visible images each one produces, per reflection order. Optionally compares the
+ * results against (or writes) a baseline JSON file so physics changes can be
+ * checked against every arrangement in one go.
+ *
+ * Usage:
+ *   node tools/check-arrangements.js [files...]
+ *   node tools/check-arrangements.js --write baseline.json
+ *   node tools/check-arrangements.js --check baseline.json
+ *
+ * With no files, every *.json in arrangements/ is checked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeScene, sceneFromArrangement } = require('../optics-engine.js');
+
+const ARRANGEMENTS_DIR = path.join(__dirname, '..', 'arrangements');
+
+// Images that more than one mirror chain forms, with the other chains that must be
+// merged into them (see mergeCoincidentImages); checked on every run
+const MERGE_CASES = [
+  // Mirrors hinged at 90°: M1 then M0 and M0 then M1 form the same 2nd-order image
+  { file: 'hinged-mirrors.json', image: 'ball>M1>M0', chains: ['ball>M0>M1'] }
+];
+
+// Summarize one arrangement as image counts and rounded image positions
+function summarizeArrangement(file) {
+  const arrangement = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { images } = computeScene(sceneFromArrangement(arrangement));
+
+  const counts = {};
+  for (let image of images) {
+    counts[image.depth] = (counts[image.depth] || 0) + 1;
+  }
+
+  return {
+    total: images.length,
+    counts: counts,
+    images: images.map(image => [image.depth, Number(image.x.toFixed(2)), Number(image.y.toFixed(2))])
+  };
+}
+
+// Describe each merge case that does not come out as expected
+function checkMerges() {
+  const failures = [];
+
+  for (let mergeCase of MERGE_CASES) {
+    const arrangement = JSON.parse(fs.readFileSync(path.join(ARRANGEMENTS_DIR, mergeCase.file), 'utf8'));
+    const { images } = computeScene(sceneFromArrangement(arrangement));
+    const image = images.find(candidate => candidate.id === mergeCase.image);
+    const chains = image ? image.coincidentImages.map(chain => chain.id) : [];
+
+    if (!image) {
+      failures.push(`${mergeCase.file}: no visible image ${mergeCase.image}`);
+    } else if (JSON.stringify(chains) !== JSON.stringify(mergeCase.chains)) {
+      failures.push(`${mergeCase.file}: ${mergeCase.image} merges [${chains.join(', ')}], expected [${mergeCase.chains.join(', ')}]`);
+    }
+  }
+
+  return failures;
+}
+
+function parseArgs(argv) {
+  const args = { files: [], write: null, check: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--write') args.write = argv[++i];
+    else if (argv[i] === '--check') args.check = argv[++i];
+    else args.files.push(argv[i]);
+  }
+
+  if (args.files.length === 0) {
+    args.files = fs.readdirSync(ARRANGEMENTS_DIR)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => path.join(ARRANGEMENTS_DIR, name));
+  }
+
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const results = {};
+
+  for (let file of args.files) {
+    results[path.basename(file)] = summarizeArrangement(file);
+  }
+
+  for (let name of Object.keys(results)) {
+    const counts = Object.keys(results[name].counts)
+      .map(order => `${order}:${results[name].counts[order]}`)
+      .join(' ');
+    console.log(`${name.padEnd(32)} ${String(results[name].total).padStart(4)} images  ${counts}`);
+  }
+
+  const mergeFailures = checkMerges();
+  if (mergeFailures.length > 0) {
+    for (let failure of mergeFailures) console.error(`Merge check failed: ${failure}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`All ${MERGE_CASES.length} coincident-image merges happen`);
+  }
+
+  if (args.write) {
+    fs.writeFileSync(args.write, JSON.stringify(results, null, 2) + '\n');
+    console.log(`Wrote baseline for ${Object.keys(results).length} arrangements to ${args.write}`);
+  }
+
+  if (args.check) {
+    const baseline = JSON.parse(fs.readFileSync(args.check, 'utf8'));
+    const changed = Object.keys(results).filter(name =>
+      JSON.stringify(baseline[name]) !== JSON.stringify(results[name]));
+
+    if (changed.length > 0) {
+      console.error(`Changed arrangements: ${changed.join(', ')}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`All ${Object.keys(results).length} arrangements match ${args.check}`);
+    }
+  }
+}
+
+main();